@@ -0,0 +1,25 @@
+const fs = require('fs');
+const path = require('path');
+
+/**
+ * Write JSON so readers only ever see the old or the new file: the data goes to a
+ * temp file in the same directory, is flushed to disk, then renamed over the target.
+ * A crash part way leaves at most a stray temp file, never a truncated target.
+ * @param {string} filePath - Target file
+ * @param {*} data - Value to serialize
+ */
+function writeJsonAtomic(filePath, data) {
+    const tempPath = path.join(path.dirname(filePath), `.${path.basename(filePath)}.${process.pid}.tmp`);
+    const fd = fs.openSync(tempPath, 'w');
+    try {
+        fs.writeSync(fd, JSON.stringify(data, null, 2));
+        fs.fsyncSync(fd);
+    } finally {
+        fs.closeSync(fd);
+    }
+    fs.renameSync(tempPath, filePath);
+}
+
+module.exports = {
+    writeJsonAtomic
+};
@@ -0,0 +1,488 @@
+const { google } = require('googleapis');
+const fs = require('fs');
+const path = require('path');
+const { loadScanResults, extractDriveFolderId } = require('./scan_results');
+const { FolderMatcher, resolveMatchThreshold } = require('./folder_matcher');
+const { loadMatchOverrides, findMatchOverride } = require('./match_overrides');
+const { loadShareLedger, revokedEmailsForRow } = require('./share_ledger');
+const { mapColumns, mapExtraEmailColumns, resolveWorksheetName, CACHE_REQUIRED_COLUMNS } = require('./sheet_columns');
+const { splitEmails } = require('./email_validation');
+const { loadBatchConfig } = require('./batch_config');
+const { writeJsonAtomic } = require('./atomic_file');
+require('dotenv').config();
+
+const PERMISSION_PAGE_SIZE = 100;
+
+function emailKey(email) {
+    return (email || '').toLowerCase().trim();
+}
+
+/**
+ * Compares the permissions that actually exist on the scanned folders with what
+ * the sheet, cache_peserta.json and share_ledger.json say should exist.
+ * Read-only: nothing is shared, revoked or written to the sheet.
+ */
+class PermissionAuditor {
+    /**
+     * @param {Object} batchConfig - From batch_config.js; WORKER_COUNT folders are listed at a time
+     * @param {Object} options
+     * @param {AbortSignal} options.signal - Stops listing permissions when aborted
+     */
+    constructor(batchConfig = loadBatchConfig(), options = {}) {
+        this.concurrency = batchConfig.workerCount;
+        this.signal = options.signal || null;
+        this.drive = null;
+        this.sheets = null;
+        this.serviceAccountEmail = null;
+        this.scanData = null;
+        this.folderMatcher = null;
+        this.sheetParticipants = [];
+        this.cachedParticipants = [];
+        this.permissionsByFolder = new Map();
+        this.ignoredEmails = new Set(
+            (process.env.AUDIT_IGNORE_EMAILS || '').split(',').map(emailKey).filter(Boolean)
+        );
+        this.stats = { foldersListed: 0, permissionsListed: 0, failedFolders: [] };
+    }
+
+    /**
+     * Initialize Google APIs with service account credentials
+     */
+    async initialize() {
+        try {
+            const serviceAccountPath = path.join(__dirname, 'service.json');
+            if (!fs.existsSync(serviceAccountPath)) {
+                throw new Error('service.json file not found. Please place your Google service account credentials in the root directory.');
+            }
+
+            const serviceAccount = JSON.parse(fs.readFileSync(serviceAccountPath, 'utf8'));
+            this.serviceAccountEmail = emailKey(serviceAccount.client_email);
+
+            const auth = new google.auth.JWT(
+                serviceAccount.client_email,
+                null,
+                serviceAccount.private_key,
+                [
+                    'https://www.googleapis.com/auth/drive.readonly',
+                    'https://www.googleapis.com/auth/spreadsheets.readonly'
+                ]
+            );
+
+            this.drive = google.drive({ version: 'v3', auth });
+            this.sheets = google.sheets({ version: 'v4', auth });
+
+            console.log('✅ Google APIs initialized successfully');
+            return true;
+        } catch (error) {
+            console.error('❌ Failed to initialize Google APIs:', error.message);
+            return false;
+        }
+    }
+
+    /**
+     * Load scan results, manual overrides and the share ledger
+     */
+    loadLocalData() {
+        this.scanData = loadScanResults(path.join(__dirname, 'scan_results.json'));
+        this.foldersById = new Map(this.scanData.folders.map(folder => [folder.id, folder]));
+        this.folderMatcher = new FolderMatcher(this.scanData.folders, { threshold: resolveMatchThreshold() });
+        this.matchOverrides = loadMatchOverrides(path.join(__dirname, 'match_overrides.json'));
+        this.shareLedger = loadShareLedger(path.join(__dirname, 'share_ledger.json'));
+
+        const cachePath = path.join(__dirname, 'cache_peserta.json');
+        if (fs.existsSync(cachePath)) {
+            this.cachedParticipants = JSON.parse(fs.readFileSync(cachePath, 'utf8')).participants || [];
+        }
+
+        console.log(`📂 Loaded ${this.scanData.folders.length} folders, ${this.cachedParticipants.length} cached participants and ${this.shareLedger.shares.length} ledger entries`);
+    }
+
+    /**
+     * Read every participant row from the sheet, including rows already shared
+     * (cache_peserta.json leaves those out)
+     */
+    async loadSheetParticipants() {
+        try {
+            const sheetId = process.env.GOOGLE_SHEET_ID;
+            const worksheetName = await resolveWorksheetName(this.sheets, sheetId);
+            const response = await this.sheets.spreadsheets.values.get({
+                spreadsheetId: sheetId,
+                range: worksheetName
+            });
+
+            const rows = response.data.values || [];
+            if (rows.length < 2) {
+                throw new Error('No data found in the worksheet');
+            }
+
+            const columns = mapColumns(rows[0], { required: CACHE_REQUIRED_COLUMNS });
+            const extraEmailColumns = mapExtraEmailColumns(rows[0], columns);
+            const cell = (row, field) => (columns[field] ? row[columns[field].index] : undefined);
+
+            // Every address of a row is expected to have access (see cache_peserta.js)
+            const rowEmails = row => [...new Set(
+                [cell(row, 'email'), ...extraEmailColumns.map(column => row[column.index])]
+                    .flatMap(splitEmails)
+                    .map(emailKey)
+            )];
+
+            this.sheetParticipants = rows.slice(1)
+                .map((row, i) => ({
+                    row: i + 2,
+                    email: rowEmails(row)[0] || '',
+                    emails: rowEmails(row),
+                    nama: cell(row, 'nama') || '',
+                    folderId: cell(row, 'folderId') || '',
+                    isShared: ['TRUE', 'true'].includes(cell(row, 'isShared'))
+                }))
+                .filter(participant => participant.email && participant.nama);
+
+            console.log(`📋 Read ${this.sheetParticipants.length} participants from "${worksheetName}" (${this.sheetParticipants.filter(p => p.isShared).length} marked shared)`);
+            return this.sheetParticipants;
+        } catch (error) {
+            console.error('❌ Error reading sheet:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Folder a participant should have access to: sheet FolderId, then the ledger,
+     * then a manual override, then name matching
+     */
+    resolveExpectedFolder(participant) {
+        const sheetFolderId = extractDriveFolderId(participant.folderId);
+        if (sheetFolderId) {
+            return { folderId: sheetFolderId, source: 'SHEET' };
+        }
+
+        const ledgerEntry = this.shareLedger.shares
+            .filter(entry => !entry.revokedAt && entry.row === participant.row && participant.emails.includes(emailKey(entry.email)))
+            .pop();
+        if (ledgerEntry) {
+            return { folderId: ledgerEntry.folderId, source: 'LEDGER' };
+        }
+
+        const override = findMatchOverride(this.matchOverrides, participant);
+        if (override) {
+            return override.decision === 'FOLDER' ?
+                { folderId: override.folderId, source: 'OVERRIDE' } :
+                { folderId: null, source: 'NO_FOLDER_EXPECTED' };
+        }
+
+        const match = this.folderMatcher.match(participant.nama);
+        return match.autoShare ?
+            { folderId: match.match.id, source: 'NAME_MATCH' } :
+            { folderId: null, source: null };
+    }
+
+    /**
+     * List all user and group permissions on a folder
+     */
+    async listFolderPermissions(folderId) {
+        const permissions = [];
+        let pageToken;
+
+        do {
+            const response = await this.drive.permissions.list({
+                fileId: folderId,
+                pageSize: PERMISSION_PAGE_SIZE,
+                pageToken,
+                supportsAllDrives: true,
+                fields: 'nextPageToken, permissions(id, type, role, emailAddress, deleted)'
+            });
+
+            for (const permission of response.data.permissions || []) {
+                if (!['user', 'group'].includes(permission.type) || permission.deleted) continue;
+                permissions.push({
+                    permissionId: permission.id,
+                    type: permission.type,
+                    role: permission.role,
+                    email: emailKey(permission.emailAddress)
+                });
+            }
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return permissions;
+    }
+
+    /**
+     * List permissions on the scanned root and every scanned folder, a few at a time
+     */
+    async loadFolderPermissions() {
+        const folderIds = [this.scanData.rootFolderId, ...this.scanData.folders.map(folder => folder.id)].filter(Boolean);
+        let next = 0;
+
+        const worker = async () => {
+            while (next < folderIds.length && !(this.signal && this.signal.aborted)) {
+                const folderId = folderIds[next++];
+                try {
+                    const permissions = await this.listFolderPermissions(folderId);
+                    this.permissionsByFolder.set(folderId, permissions);
+                    this.stats.permissionsListed += permissions.length;
+                } catch (error) {
+                    this.stats.failedFolders.push({ folderId, error: error.message });
+                    console.error(`❌ Error listing permissions for ${folderId}:`, error.message);
+                }
+
+                this.stats.foldersListed++;
+                if (this.stats.foldersListed % 100 === 0 || this.stats.foldersListed === folderIds.length) {
+                    const percentage = ((this.stats.foldersListed / folderIds.length) * 100).toFixed(1);
+                    console.log(`PROGRESS: Processed ${this.stats.foldersListed}/${folderIds.length} (${percentage}%) folders`);
+                }
+            }
+        };
+
+        console.log(`🔍 Listing permissions on ${folderIds.length} folders...`);
+        await Promise.all(Array.from({ length: this.concurrency }, worker));
+
+        if (this.signal && this.signal.aborted) {
+            throw new Error('Audit cancelled');
+        }
+    }
+
+    /**
+     * Permissions set on the folder itself rather than inherited from its parent.
+     * Drive repeats a parent's permissions on every child in My Drive.
+     */
+    directPermissions(folder) {
+        const permissions = this.permissionsByFolder.get(folder.id) || [];
+        const parentPermissions = this.permissionsByFolder.get(folder.parentId) || [];
+        const inherited = new Set(parentPermissions.map(p => `${p.email}|${p.role}`));
+
+        return permissions.filter(permission =>
+            permission.role !== 'owner' &&
+            permission.email !== this.serviceAccountEmail &&
+            !this.ignoredEmails.has(permission.email) &&
+            !inherited.has(`${permission.email}|${permission.role}`)
+        );
+    }
+
+    /**
+     * Compare expected and actual access
+     * @returns {Object} Audit report
+     */
+    buildReport() {
+        const participantsByEmail = new Map();
+        const expectedByFolder = new Map();
+        const missingPermissions = [];
+        const unresolvedShared = [];
+
+        for (const participant of this.sheetParticipants) {
+            participant.emails.forEach(key => {
+                if (!participantsByEmail.has(key)) {
+                    participantsByEmail.set(key, []);
+                }
+                participantsByEmail.get(key).push(participant);
+            });
+
+            // Addresses revoked one at a time keep the row shared but no longer need access
+            const revoked = revokedEmailsForRow(this.shareLedger, participant.row);
+            const expectedEmails = participant.emails.filter(key => !revoked.includes(key));
+
+            const expected = this.resolveExpectedFolder(participant);
+            if (!expected.folderId) {
+                if (participant.isShared) {
+                    unresolvedShared.push({ row: participant.row, nama: participant.nama, email: participant.email, source: expected.source });
+                }
+                continue;
+            }
+
+            if (!expectedByFolder.has(expected.folderId)) {
+                expectedByFolder.set(expected.folderId, new Set());
+            }
+            expectedEmails.forEach(key => expectedByFolder.get(expected.folderId).add(key));
+
+            if (!participant.isShared) continue;
+
+            // Inherited access still counts as access for a participant
+            const folderPermissions = this.permissionsByFolder.get(expected.folderId);
+            if (!folderPermissions) {
+                missingPermissions.push({
+                    row: participant.row,
+                    nama: participant.nama,
+                    email: participant.email,
+                    folderId: expected.folderId,
+                    source: expected.source,
+                    reason: this.foldersById.has(expected.folderId) ? 'PERMISSIONS_UNAVAILABLE' : 'FOLDER_NOT_IN_SCAN'
+                });
+                continue;
+            }
+
+            // With SHARE_RECIPIENT_RULE=any a row can be marked shared while an
+            // address is missing; it is still listed here
+            expectedEmails
+                .filter(key => !folderPermissions.some(permission => permission.email === key))
+                .forEach(key => missingPermissions.push({
+                    row: participant.row,
+                    nama: participant.nama,
+                    email: key,
+                    folderId: expected.folderId,
+                    path: (this.foldersById.get(expected.folderId) || {}).path || null,
+                    source: expected.source,
+                    reason: 'PERMISSION_MISSING'
+                }));
+        }
+
+        const unexpectedAccess = [];
+        const sharedWithMultiple = [];
+
+        for (const folder of this.scanData.folders) {
+            if (!this.permissionsByFolder.has(folder.id)) continue;
+
+            const direct = this.directPermissions(folder);
+            const expected = expectedByFolder.get(folder.id) || new Set();
+
+            direct
+                .filter(permission => !expected.has(permission.email))
+                .forEach(permission => unexpectedAccess.push({
+                    folderId: folder.id,
+                    path: folder.path,
+                    email: permission.email,
+                    role: permission.role,
+                    type: permission.type,
+                    permissionId: permission.permissionId,
+                    knownParticipant: participantsByEmail.has(permission.email) ?
+                        participantsByEmail.get(permission.email).map(p => `${p.nama} (row ${p.row})`) : null
+                }));
+
+            // Addresses of one sheet row (e.g. a parent and a student) count as one participant
+            const participantEmails = [...new Set(direct.map(p => p.email).filter(email => participantsByEmail.has(email)))];
+            const oneParticipant = this.sheetParticipants.some(participant =>
+                participantEmails.every(email => participant.emails.includes(email))
+            );
+            if (participantEmails.length > 1 && !oneParticipant) {
+                sharedWithMultiple.push({
+                    folderId: folder.id,
+                    path: folder.path,
+                    participants: participantEmails.map(email => ({
+                        email,
+                        names: participantsByEmail.get(email).map(p => p.nama)
+                    }))
+                });
+            }
+        }
+
+        // cache_peserta.json should agree with the sheet for rows it still holds
+        const cacheMismatches = this.cachedParticipants
+            .map(cached => {
+                const sheetRow = this.sheetParticipants.find(p => p.row === cached.row && emailKey(p.email) === emailKey(cached.email));
+                if (!sheetRow) {
+                    return { row: cached.row, nama: cached.nama, email: cached.email, cache: cached.isShared, sheet: null };
+                }
+                return sheetRow.isShared !== !!cached.isShared ?
+                    { row: cached.row, nama: cached.nama, email: cached.email, cache: !!cached.isShared, sheet: sheetRow.isShared } :
+                    null;
+            })
+            .filter(Boolean);
+
+        return {
+            generatedAt: new Date().toISOString(),
+            rootFolderId: this.scanData.rootFolderId,
+            summary: {
+                foldersAudited: this.permissionsByFolder.size,
+                foldersFailed: this.stats.failedFolders.length,
+                participants: this.sheetParticipants.length,
+                markedShared: this.sheetParticipants.filter(p => p.isShared).length,
+                unexpectedAccess: unexpectedAccess.length,
+                missingPermissions: missingPermissions.length,
+                sharedWithMultiple: sharedWithMultiple.length,
+                unresolvedShared: unresolvedShared.length,
+                cacheMismatches: cacheMismatches.length
+            },
+            unexpectedAccess,
+            missingPermissions,
+            sharedWithMultiple,
+            unresolvedShared,
+            cacheMismatches,
+            failedFolders: this.stats.failedFolders
+        };
+    }
+
+    saveReport(report) {
+        try {
+            const outputPath = path.join(__dirname, 'permission_audit.json');
+            writeJsonAtomic(outputPath, report);
+            console.log(`💾 Audit report saved to: ${outputPath}`);
+        } catch (error) {
+            console.error('❌ Error saving audit report:', error.message);
+        }
+    }
+
+    printReport(report) {
+        const { summary } = report;
+        console.log('\n🔎 PERMISSION AUDIT');
+        console.log('===================');
+        console.log(`Folders audited: ${summary.foldersAudited}${summary.foldersFailed ? ` (${summary.foldersFailed} failed)` : ''}`);
+        console.log(`Participants: ${summary.participants} (${summary.markedShared} marked shared)`);
+        console.log(`⚠️ Unexpected access: ${summary.unexpectedAccess}`);
+        console.log(`❌ Marked shared but permission missing: ${summary.missingPermissions}`);
+        console.log(`👥 Folders shared with more than one participant: ${summary.sharedWithMultiple}`);
+        console.log(`❓ Marked shared but no folder could be resolved: ${summary.unresolvedShared}`);
+        console.log(`📂 cache_peserta.json rows that disagree with the sheet: ${summary.cacheMismatches}`);
+
+        const preview = (title, items, format) => {
+            if (items.length === 0) return;
+            console.log(`\n${title}`);
+            items.slice(0, 10).forEach((item, index) => console.log(`${index + 1}. ${format(item)}`));
+            if (items.length > 10) {
+                console.log(`   ... and ${items.length - 10} more (see permission_audit.json)`);
+            }
+        };
+
+        preview('⚠️ Unexpected access:', report.unexpectedAccess,
+            item => `${item.path}: ${item.email} (${item.role})${item.knownParticipant ? ` - participant ${item.knownParticipant.join(', ')}` : ''}`);
+        preview('❌ Missing permissions:', report.missingPermissions,
+            item => `Row ${item.row} ${item.nama} (${item.email}) - ${item.reason} on ${item.path || item.folderId}`);
+        preview('👥 Shared with more than one participant:', report.sharedWithMultiple,
+            item => `${item.path}: ${item.participants.map(p => p.email).join(', ')}`);
+
+        console.log(`AUDIT_SUMMARY: ${JSON.stringify(summary)}`);
+    }
+}
+
+/**
+ * Run the audit and save permission_audit.json
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the audit
+ * @returns {Promise<Object>} The audit report
+ */
+async function runAudit({ signal = null } = {}) {
+    const auditor = new PermissionAuditor(loadBatchConfig(), { signal });
+
+    if (!process.env.GOOGLE_SHEET_ID) {
+        throw new Error('GOOGLE_SHEET_ID environment variable is required');
+    }
+
+    const initialized = await auditor.initialize();
+    if (!initialized) {
+        throw new Error('Failed to initialize Google APIs');
+    }
+
+    auditor.loadLocalData();
+    await auditor.loadSheetParticipants();
+    await auditor.loadFolderPermissions();
+
+    const report = auditor.buildReport();
+    auditor.saveReport(report);
+    auditor.printReport(report);
+
+    console.log('\n✅ Permission audit completed successfully!');
+    return report;
+}
+
+async function main() {
+    try {
+        await runAudit();
+    } catch (error) {
+        console.error('❌ Fatal error:', error.message);
+        process.exit(1);
+    }
+}
+
+module.exports = PermissionAuditor;
+module.exports.runAudit = runAudit;
+
+if (require.main === module) {
+    main();
+}
@@ -0,0 +1,136 @@
+const fs = require('fs');
+const path = require('path');
+const dotenv = require('dotenv');
+
+const BATCH_CONFIG_PATH = path.join(__dirname, 'batch_config.env');
+
+/**
+ * Processing settings shared by the share scripts and the dashboard.
+ * Values come from the environment (.env), then batch_config.env, then these defaults.
+ */
+const BATCH_CONFIG_FIELDS = {
+    WORKER_COUNT: {
+        key: 'workerCount',
+        min: 1,
+        max: 32,
+        default: 4,
+        description: 'number of share workers'
+    },
+    BATCH_SIZE: {
+        key: 'batchSize',
+        min: 1,
+        max: 100,
+        default: 10,
+        description: 'participants processed between history saves'
+    },
+    API_DELAY: {
+        key: 'apiDelay',
+        min: 0,
+        max: 10000,
+        default: 100,
+        description: 'milliseconds between API calls of one worker'
+    },
+    SHEET_FLUSH_SIZE: {
+        key: 'sheetFlushSize',
+        min: 1,
+        max: 1000,
+        default: 100,
+        description: 'sheet cell updates collected before they are written'
+    },
+    SHEET_FLUSH_INTERVAL: {
+        key: 'sheetFlushInterval',
+        min: 5,
+        max: 3600,
+        default: 60,
+        description: 'seconds between sheet writes during a run'
+    }
+};
+
+/**
+ * Validate a single setting
+ * @param {string} name - Env var name, e.g. WORKER_COUNT
+ * @param {*} value - Raw value
+ * @returns {string|null} Error message, or null when valid
+ */
+function validateBatchValue(name, value) {
+    const field = BATCH_CONFIG_FIELDS[name];
+    const text = String(value).trim();
+    if (!/^-?\d+$/.test(text)) {
+        return `${name} must be a whole number between ${field.min} and ${field.max} (${field.description}), got "${value}"`;
+    }
+    const number = parseInt(text, 10);
+    if (number < field.min || number > field.max) {
+        return `${name} must be between ${field.min} and ${field.max} (${field.description}), got ${number}`;
+    }
+    return null;
+}
+
+/**
+ * Validate settings. Missing or empty values fall back to the defaults.
+ * @param {Object} values - Raw values keyed by env var name
+ * @returns {Object} { config: { workerCount, batchSize, apiDelay, sheetFlushSize, sheetFlushInterval }, errors: [...] }
+ */
+function validateBatchConfig(values) {
+    const config = {};
+    const errors = [];
+
+    for (const [name, field] of Object.entries(BATCH_CONFIG_FIELDS)) {
+        const value = values[name];
+        if (value === undefined || value === null || String(value).trim() === '') {
+            config[field.key] = field.default;
+            continue;
+        }
+
+        const error = validateBatchValue(name, value);
+        if (error) {
+            errors.push(error);
+        } else {
+            config[field.key] = parseInt(String(value).trim(), 10);
+        }
+    }
+
+    return { config, errors };
+}
+
+/**
+ * Environment variables with batch_config.env underneath. A variable that is set
+ * and not empty in the environment (.env) wins over batch_config.env.
+ * Also used for settings validated elsewhere: RETRY_* in retry_policy.js and
+ * RATE_LIMIT_* in rate_limiter.js
+ * @param {Object} env - Environment variables
+ * @param {string} filePath - Path to batch_config.env
+ * @returns {Object} Raw values keyed by env var name
+ */
+function batchEnv(env = process.env, filePath = BATCH_CONFIG_PATH) {
+    const values = fs.existsSync(filePath) ? dotenv.parse(fs.readFileSync(filePath)) : {};
+    for (const [name, value] of Object.entries(env)) {
+        if (value !== undefined && String(value).trim() !== '') {
+            values[name] = value;
+        }
+    }
+    return values;
+}
+
+/**
+ * Load and validate the processing settings
+ * @param {Object} env - Environment variables
+ * @param {string} filePath - Path to batch_config.env
+ * @returns {Object} { workerCount, batchSize, apiDelay, sheetFlushSize, sheetFlushInterval }
+ * @throws {Error} Listing every invalid setting
+ */
+function loadBatchConfig(env = process.env, filePath = BATCH_CONFIG_PATH) {
+    const { config, errors } = validateBatchConfig(batchEnv(env, filePath));
+    if (errors.length > 0) {
+        throw new Error(`Invalid batch configuration:\n   - ${errors.join('\n   - ')}`);
+    }
+    return config;
+}
+
+module.exports = {
+    BATCH_CONFIG_PATH,
+    BATCH_CONFIG_FIELDS,
+    validateBatchValue,
+    validateBatchConfig,
+    batchEnv,
+    loadBatchConfig
+};
@@ -1,6 +1,10 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { writeJsonAtomic } = require('./atomic_file');
+const { splitEmails, validateEmail } = require('./email_validation');
+const { resolveDuplicatePolicy, dedupeParticipants } = require('./participant_dedupe');
+const { mapColumns, mapExtraEmailColumns, CACHE_REQUIRED_COLUMNS } = require('./sheet_columns');
 require('dotenv').config();
 
 class ParticipantCacheManager {
@@ -8,6 +12,7 @@ class ParticipantCacheManager {
         this.sheets = null;
         this.drive = null;
         this.cachedData = [];
+        this.duplicatePolicy = null;
     }
 
     /**
@@ -76,8 +81,9 @@ class ParticipantCacheManager {
 
     /**
      * Cache participant data from Google Sheets
+     * @param {string} duplicatePolicy - How repeated submissions are merged (see participant_dedupe.js)
      */
-    async cacheParticipants() {
+    async cacheParticipants(duplicatePolicy = resolveDuplicatePolicy()) {
         try {
             const sheetId = process.env.GOOGLE_SHEET_ID;
             let worksheetName = process.env.WORKSHEET_NAME || 'Form Response 1';
@@ -109,7 +115,7 @@ class ParticipantCacheManager {
             // Get all data from the worksheet
             const response = await this.sheets.spreadsheets.values.get({
                 spreadsheetId: sheetId,
-                range: `${worksheetName}!A:J` // Assuming columns A-J cover all the headers
+                range: worksheetName // Whole sheet; columns are located by header below
             });
 
             const rows = response.data.values;
@@ -121,17 +127,16 @@ class ParticipantCacheManager {
             const headers = rows[0];
             console.log('📋 Headers found:', headers);
 
-            // Find column indices
-            const timestampIndex = headers.indexOf('Timestamp');
-            const emailIndex = headers.indexOf('Email Address');
-            const namaIndex = headers.indexOf('Nama Peserta');
-            const folderIdIndex = headers.indexOf('FolderId');
-            const isSharedIndex = headers.indexOf('isShared');
-            const lastLogIndex = headers.indexOf('LastLog');
-
-            if (emailIndex === -1 || namaIndex === -1) {
-                throw new Error('Required columns (Email Address, Nama Peserta) not found');
-            }
+            // Find columns by header name or alias (fails if email or nama is missing)
+            const columns = mapColumns(headers, { required: CACHE_REQUIRED_COLUMNS });
+            Object.entries(columns).forEach(([field, column]) => {
+                console.log(`📋 ${field}: column ${column.letter} ("${column.header}")`);
+            });
+            const extraEmailColumns = mapExtraEmailColumns(headers, columns);
+            extraEmailColumns.forEach(column => {
+                console.log(`📋 extra email: column ${column.letter} ("${column.header}")`);
+            });
+            const cell = (row, field) => (columns[field] ? row[columns[field].index] : undefined);
 
             // Process data rows (skip header row)
             const participants = [];
@@ -140,39 +145,78 @@ class ParticipantCacheManager {
                 const rowNumber = i + 1; // 1-based row number
 
                 // Skip rows where isShared is true
-                const isShared = row[isSharedIndex] === 'TRUE' || row[isSharedIndex] === 'true';
+                const isShared = cell(row, 'isShared') === 'TRUE' || cell(row, 'isShared') === 'true';
                 if (isShared) {
                     console.log(`⏭️ Skipping row ${rowNumber} - already shared`);
                     continue;
                 }
 
+                // The email cell can list several addresses and extra email columns add
+                // more. The first is the participant's email, the rest are extraEmails.
+                // Addresses are stored trimmed and lowercased; malformed ones and likely
+                // domain typos are kept (with emailIssue for the first) so the share run reports them
+                const emailChecks = [];
+                [cell(row, 'email'), ...extraEmailColumns.map(column => row[column.index])]
+                    .flatMap(splitEmails)
+                    .map(validateEmail)
+                    .forEach(check => {
+                        if (!emailChecks.some(existing => existing.email === check.email)) {
+                            emailChecks.push(check);
+                        }
+                    });
+                const emailCheck = emailChecks[0] || validateEmail('');
+
                 const participant = {
                     row: rowNumber,
-                    email: row[emailIndex] || '',
-                    nama: row[namaIndex] || '',
-                    namaLower: (row[namaIndex] || '').toLowerCase(),
-                    folderId: row[folderIdIndex] || '',
+                    email: emailCheck.email,
+                    nama: cell(row, 'nama') || '',
+                    namaLower: (cell(row, 'nama') || '').toLowerCase(),
+                    folderId: cell(row, 'folderId') || '',
                     isShared: isShared,
-                    lastLog: row[lastLogIndex] || '',
-                    timestamp: row[timestampIndex] || ''
+                    lastLog: cell(row, 'lastLog') || '',
+                    timestamp: cell(row, 'timestamp') || ''
                 };
 
                 // Only include participants with valid email and nama
                 if (participant.email && participant.nama) {
+                    if (!emailCheck.valid) {
+                        participant.emailIssue = {
+                            reason: emailCheck.reason,
+                            message: emailCheck.message,
+                            suggestion: emailCheck.suggestion
+                        };
+                    }
+                    if (emailChecks.length > 1) {
+                        participant.extraEmails = emailChecks.slice(1).map(check => check.email);
+                    }
+                    emailChecks.filter(check => !check.valid).forEach(check => {
+                        console.log(`⚠️ Row ${rowNumber}: invalid email for ${participant.nama} - ${check.message}${check.suggestion ? ` (did you mean ${check.suggestion}?)` : ''}`);
+                    });
                     participants.push(participant);
-                    console.log(`📝 Cached participant: ${participant.nama} (${participant.email}) - Row ${rowNumber}`);
+                    console.log(`📝 Cached participant: ${participant.nama} (${emailChecks.map(check => check.email).join(', ')}) - Row ${rowNumber}`);
                 } else {
                     console.log(`⚠️ Skipping row ${rowNumber} - missing email or nama`);
                 }
             }
 
-            this.cachedData = participants;
-            console.log(`✅ Cached ${participants.length} participants`);
+            // One entry per name; the rows of repeated submissions are kept on it
+            const { participants: deduped, merged, conflicts } = dedupeParticipants(participants, duplicatePolicy);
+            merged.forEach(({ kept, rows, emails }) => {
+                const conflict = kept.duplicateConflict ? ' - conflicting emails, will be reported' : '';
+                console.log(`🔁 ${kept.nama} submitted ${rows.length} times (rows ${rows.join(', ')}${emails.length > 1 ? `, emails ${emails.join(', ')}` : ''}): using row ${kept.row} (${kept.email})${conflict}`);
+            });
+            if (merged.length > 0) {
+                console.log(`📋 Merged ${participants.length - deduped.length} duplicate submissions (DUPLICATE_POLICY=${duplicatePolicy}), ${conflicts.length} with conflicting emails`);
+            }
+
+            this.cachedData = deduped;
+            this.duplicatePolicy = duplicatePolicy;
+            console.log(`✅ Cached ${deduped.length} participants`);
 
             // Save to JSON file
             await this.saveCache();
             
-            return participants;
+            return deduped;
 
         } catch (error) {
             console.error('❌ Error caching participants:', error.message);
@@ -189,10 +233,11 @@ class ParticipantCacheManager {
             const cacheData = {
                 timestamp: new Date().toISOString(),
                 totalParticipants: this.cachedData.length,
+                duplicatePolicy: this.duplicatePolicy,
                 participants: this.cachedData
             };
             
-            fs.writeFileSync(outputPath, JSON.stringify(cacheData, null, 2));
+            writeJsonAtomic(outputPath, cacheData);
             console.log(`💾 Cache saved to: ${outputPath}`);
         } catch (error) {
             console.error('❌ Error saving cache:', error.message);
@@ -229,30 +274,41 @@ class ParticipantCacheManager {
         console.log(`Total Participants: ${this.cachedData.length}`);
         
         this.cachedData.forEach((participant, index) => {
-            console.log(`${index + 1}. ${participant.nama} (${participant.email}) - Row ${participant.row}`);
+            const duplicates = participant.duplicateRows && participant.duplicateRows.length > 0 ?
+                ` (also rows ${participant.duplicateRows.join(', ')})` : '';
+            const emails = [participant.email, ...(participant.extraEmails || [])].join(', ');
+            console.log(`${index + 1}. ${participant.nama} (${emails}) - Row ${participant.row}${duplicates}`);
         });
     }
 }
 
-// Main execution function
-async function main() {
+/**
+ * Read the participants from Google Sheets and save cache_peserta.json
+ */
+async function runCache() {
+    const duplicatePolicy = resolveDuplicatePolicy();
     const cacheManager = new ParticipantCacheManager();
-    
-    try {
-        // Initialize the cache manager
-        const initialized = await cacheManager.initialize();
-        if (!initialized) {
-            process.exit(1);
-        }
 
-        // Cache participants from Google Sheets
-        await cacheManager.cacheParticipants();
-        
-        // Print summary
-        cacheManager.printSummary();
-        
-        console.log('\n✅ Participant caching completed successfully!');
+    // Initialize the cache manager
+    const initialized = await cacheManager.initialize();
+    if (!initialized) {
+        throw new Error('Failed to initialize Google APIs');
+    }
 
+    // Cache participants from Google Sheets
+    const participants = await cacheManager.cacheParticipants(duplicatePolicy);
+    
+    // Print summary
+    cacheManager.printSummary();
+    
+    console.log('\n✅ Participant caching completed successfully!');
+    return participants;
+}
+
+// Main execution function
+async function main() {
+    try {
+        await runCache();
     } catch (error) {
         console.error('❌ Fatal error:', error.message);
         process.exit(1);
@@ -261,6 +317,7 @@ async function main() {
 
 // Export the class for use in other modules
 module.exports = ParticipantCacheManager;
+module.exports.runCache = runCache;
 
 // Run the script if called directly
 if (require.main === module) {
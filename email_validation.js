@@ -0,0 +1,136 @@
+// Webmail domains participants use. A domain one typo away from one of these is
+// reported with the corrected address instead of being shared.
+const KNOWN_EMAIL_DOMAINS = [
+    'gmail.com',
+    'googlemail.com',
+    'yahoo.com',
+    'yahoo.co.id',
+    'ymail.com',
+    'rocketmail.com',
+    'hotmail.com',
+    'outlook.com',
+    'outlook.co.id',
+    'live.com',
+    'msn.com',
+    'icloud.com',
+    'me.com',
+    'mail.com',
+    'aol.com',
+    'protonmail.com',
+    'proton.me'
+];
+
+// Practical address syntax: one @, no spaces, dot-separated domain labels and a
+// letters-only top-level domain. Quoted local parts and IP domains are not accepted.
+const LOCAL_PART_PATTERN = /^[a-z0-9!#$%&'*+/=?^_`{|}~-]+(\.[a-z0-9!#$%&'*+/=?^_`{|}~-]+)*$/;
+const DOMAIN_LABEL_PATTERN = /^[a-z0-9]([a-z0-9-]*[a-z0-9])?$/;
+const TOP_LEVEL_DOMAIN_PATTERN = /^[a-z]{2,}$/;
+
+/**
+ * Edit distance counting a swap of two neighbouring letters as one edit,
+ * so "gmial.com" is one edit from "gmail.com"
+ */
+function editDistance(a, b) {
+    if (a === b) return 0;
+
+    const rows = Array.from({ length: a.length + 1 }, (_, i) => [i]);
+    for (let j = 1; j <= b.length; j++) rows[0][j] = j;
+
+    for (let i = 1; i <= a.length; i++) {
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            rows[i][j] = Math.min(rows[i - 1][j] + 1, rows[i][j - 1] + 1, rows[i - 1][j - 1] + cost);
+            if (i > 1 && j > 1 && a[i - 1] === b[j - 2] && a[i - 2] === b[j - 1]) {
+                rows[i][j] = Math.min(rows[i][j], rows[i - 2][j - 2] + 1);
+            }
+        }
+    }
+    return rows[a.length][b.length];
+}
+
+/**
+ * Trim and lowercase an address. Gmail and the other providers ignore case, and
+ * the sheet often has stray spaces or a "mailto:" link.
+ * @param {string} email - Raw sheet value
+ * @returns {string}
+ */
+function normalizeEmail(email) {
+    return String(email || '')
+        .trim()
+        .replace(/^mailto:/i, '')
+        .toLowerCase();
+}
+
+/**
+ * Split a cell holding several addresses, e.g. a parent's and a student's.
+ * Addresses are separated by semicolons, line breaks or commas; a comma only
+ * separates when an @ follows it, so "budi@gmail,com" stays one (malformed) address.
+ * @param {string} value - Raw sheet value
+ * @returns {Array<string>} Raw addresses, trimmed, empty parts dropped
+ */
+function splitEmails(value) {
+    return String(value || '')
+        .split(/[;\n]|,(?=[^,]*@)/)
+        .map(part => part.trim())
+        .filter(Boolean);
+}
+
+/**
+ * Known domain the given domain is most likely a typo of
+ * @param {string} domain - Lowercase domain
+ * @returns {string|null}
+ */
+function suggestDomain(domain) {
+    if (KNOWN_EMAIL_DOMAINS.includes(domain)) {
+        return null;
+    }
+    return KNOWN_EMAIL_DOMAINS.find(known => editDistance(domain, known) === 1) || null;
+}
+
+/**
+ * Check an address before it is shared with
+ * @param {string} email - Raw sheet value
+ * @returns {Object} { email: normalized address, valid, reason: null | 'EMPTY' | 'MALFORMED' | 'DOMAIN_TYPO',
+ *                     message, suggestion: corrected address or null }
+ */
+function validateEmail(email) {
+    const normalized = normalizeEmail(email);
+    const invalid = (reason, message, suggestion = null) => ({ email: normalized, valid: false, reason, message, suggestion });
+
+    if (!normalized) {
+        return invalid('EMPTY', 'Email is empty');
+    }
+
+    const parts = normalized.split('@');
+    if (parts.length !== 2) {
+        return invalid('MALFORMED', `"${normalized}" must contain exactly one @`);
+    }
+
+    const [localPart, domain] = parts;
+    const labels = domain.split('.');
+    if (!LOCAL_PART_PATTERN.test(localPart)) {
+        return invalid('MALFORMED', `"${localPart}" is not a valid name before the @`);
+    }
+    if (labels.length < 2 || !labels.every(label => DOMAIN_LABEL_PATTERN.test(label)) ||
+        !TOP_LEVEL_DOMAIN_PATTERN.test(labels[labels.length - 1])) {
+        // "gmail,com" or "gmailcom" still has an obvious intended domain
+        const repaired = domain.replace(/,/g, '.');
+        const suggestion = KNOWN_EMAIL_DOMAINS.includes(repaired) ? repaired : suggestDomain(repaired);
+        return invalid('MALFORMED', `"${domain}" is not a valid domain`, suggestion ? `${localPart}@${suggestion}` : null);
+    }
+
+    const suggestion = suggestDomain(domain);
+    if (suggestion) {
+        return invalid('DOMAIN_TYPO', `"${domain}" looks like a typo of ${suggestion}`, `${localPart}@${suggestion}`);
+    }
+
+    return { email: normalized, valid: true, reason: null, message: null, suggestion: null };
+}
+
+module.exports = {
+    KNOWN_EMAIL_DOMAINS,
+    normalizeEmail,
+    splitEmails,
+    suggestDomain,
+    validateEmail
+};
@@ -0,0 +1,118 @@
+const { RATE_LIMIT_REASONS, errorStatus, errorReason, isRateLimitError, isTransientError } = require('./retry_policy');
+
+/**
+ * Issue types for failed Drive and Sheets calls. `retryable` says whether running
+ * again can succeed without changing anything; `hint` tells the operator what to do.
+ */
+const ERROR_ISSUE_TYPES = {
+    EMAIL_INVALID: {
+        retryable: false,
+        hint: 'Drive rejected the address: it is malformed or has no Google account. Fix the email in the sheet, or set SHARE_SEND_NOTIFICATION=true so addresses without a Google account get an invitation.'
+    },
+    FOLDER_NOT_FOUND: {
+        retryable: false,
+        hint: 'The folder no longer exists or the service account cannot see it. Rescan and check the FolderId in the sheet.'
+    },
+    PERMISSION_DENIED: {
+        retryable: false,
+        hint: 'The service account may not share this file. Give it Editor access on the folder (Content manager on a shared drive).'
+    },
+    RATE_LIMITED: {
+        retryable: true,
+        hint: 'Google throttled the requests and retries ran out. Lower RATE_LIMIT_RPS or WORKER_COUNT and run share again.'
+    },
+    DOMAIN_POLICY: {
+        retryable: false,
+        hint: 'A Google Workspace policy blocks sharing with this address, usually because it is outside the organization. Ask the Workspace admin or use an address the policy allows.'
+    },
+    AUTH_FAILED: {
+        retryable: false,
+        hint: 'The service account credentials were rejected. Check service.json and that the Drive and Sheets APIs are enabled for its project.'
+    },
+    TRANSIENT_ERROR: {
+        retryable: true,
+        hint: 'Google or the network failed temporarily and retries ran out. Run share again.'
+    },
+    UNKNOWN: {
+        retryable: false,
+        hint: 'Unrecognized error. Check the error message and the errorLog in monitor_share_results.json.'
+    }
+};
+
+// Reasons Drive gives when a Workspace sharing policy blocks the permission
+const DOMAIN_POLICY_REASONS = [
+    'domainPolicy',
+    'shareInNotPermitted',
+    'shareOutNotPermitted',
+    'shareOutNotPermittedToUser',
+    'publishOutNotPermitted',
+    'teamDriveDomainUsersOnlyRestriction',
+    'teamDriveTeamMembersOnlyRestriction'
+];
+const DOMAIN_POLICY_MESSAGE = /outside (of )?(your|the) (domain|organization)|domain administrators?|organization'?s? (sharing )?polic/i;
+
+const AUTH_REASONS = ['authError', 'unauthorized'];
+const AUTH_MESSAGE = /invalid_grant|invalid_client|unauthorized_client|invalid jwt/i;
+
+// Drive answers 400 invalidSharingRequest when the address has no Google account
+// and no notification email is sent
+const EMAIL_REASONS = ['invalidSharingRequest', 'cannotShareTeamDriveWithNonGoogleAccounts'];
+const EMAIL_MESSAGE = /no google account|not a google account|invalid (email|value for.*email)|email address.*(invalid|not valid)/i;
+
+const PERMISSION_REASONS = ['insufficientFilePermissions', 'insufficientPermissions', 'forbidden', 'appNotAuthorizedToFile'];
+
+/**
+ * Status string Sheets puts next to the HTTP code, e.g. "PERMISSION_DENIED"
+ */
+function errorStatusName(error) {
+    const data = error.response && error.response.data && error.response.data.error;
+    return data && typeof data === 'object' ? data.status || null : null;
+}
+
+function issueType(error) {
+    const status = errorStatus(error);
+    const reason = errorReason(error);
+    const message = error.message || '';
+
+    if (isRateLimitError(error) || RATE_LIMIT_REASONS.includes(reason) || errorStatusName(error) === 'RESOURCE_EXHAUSTED') {
+        return 'RATE_LIMITED';
+    }
+    if (status === 401 || AUTH_REASONS.includes(reason) || AUTH_MESSAGE.test(message)) {
+        return 'AUTH_FAILED';
+    }
+    if (DOMAIN_POLICY_REASONS.includes(reason) || DOMAIN_POLICY_MESSAGE.test(message)) {
+        return 'DOMAIN_POLICY';
+    }
+    if (EMAIL_REASONS.includes(reason) || EMAIL_MESSAGE.test(message)) {
+        return 'EMAIL_INVALID';
+    }
+    if (status === 404 || reason === 'notFound') {
+        return 'FOLDER_NOT_FOUND';
+    }
+    if (status === 403 || PERMISSION_REASONS.includes(reason) || errorStatusName(error) === 'PERMISSION_DENIED') {
+        return 'PERMISSION_DENIED';
+    }
+    if (isTransientError(error)) {
+        return 'TRANSIENT_ERROR';
+    }
+    return 'UNKNOWN';
+}
+
+/**
+ * Classify a failed Drive or Sheets call
+ * @param {Error} error - Error thrown by a googleapis call, or a network error
+ * @returns {Object} { issueType, retryable, hint, reason }
+ */
+function classifyError(error) {
+    const type = issueType(error);
+    return {
+        issueType: type,
+        ...ERROR_ISSUE_TYPES[type],
+        reason: errorReason(error)
+    };
+}
+
+module.exports = {
+    ERROR_ISSUE_TYPES,
+    classifyError
+};
@@ -0,0 +1,341 @@
+const { folderNameKey } = require('./scan_results');
+
+const DEFAULT_MATCH_THRESHOLD = 0.9;
+const DEFAULT_MAX_CANDIDATES = 5;
+// Best and runner-up closer than this are treated as a tie
+const AMBIGUITY_MARGIN = 0.03;
+// Name tokens at least this similar (edit distance ratio) put a folder in the candidate
+// pool, so a misspelled word like "zacky" still finds "zaky"
+const TOKEN_POOL_SIMILARITY = 0.75;
+
+// Titles and honorifics that are dropped from the start of a name
+const HONORIFICS = new Set([
+    'bapak', 'bpk', 'pak', 'ibu', 'bu', 'sdr', 'sdri', 'saudara', 'saudari',
+    'tn', 'ny', 'nn', 'h', 'hj', 'dr', 'drs', 'dra', 'ir', 'prof', 'kh',
+    'ust', 'ustadz', 'ustadzah'
+]);
+
+// Spelling variants mapped to one canonical token
+const NAME_VARIANTS = {
+    muhammad: ['muhamad', 'muhammed', 'muhamed', 'mohammad', 'mohamad', 'mohammed', 'mohamed',
+        'moh', 'mohd', 'moch', 'mochammad', 'mochamad', 'muh', 'muhd', 'mhd', 'mhmd', 'mochamat'],
+    ahmad: ['achmad', 'akhmad', 'ahmat', 'achmat'],
+    abdul: ['abd']
+};
+
+const VARIANT_LOOKUP = new Map();
+for (const [canonical, variants] of Object.entries(NAME_VARIANTS)) {
+    variants.forEach(variant => VARIANT_LOOKUP.set(variant, canonical));
+}
+
+// Suffixes some folders carry that are not part of the participant's name
+const FOLDER_NAME_NOISE = [
+    /\s*-\s*certificate folder\s*$/i,
+    /\s*-\s*folder sertifikat\s*$/i
+];
+
+/**
+ * Normalize a person or folder name for comparison:
+ * lowercase, no diacritics or punctuation, honorifics removed and
+ * Muhammad/Ahmad/Abdul spelling variants unified.
+ * @param {string} name - Raw name
+ * @returns {string} Normalized name
+ */
+function normalizeName(name) {
+    let value = (name || '').toString();
+    FOLDER_NAME_NOISE.forEach(pattern => {
+        value = value.replace(pattern, '');
+    });
+
+    const tokens = value
+        .normalize('NFD')
+        .replace(/[\u0300-\u036f]/g, '')
+        .toLowerCase()
+        .replace(/['’`]/g, '')
+        .replace(/[^a-z0-9]+/g, ' ')
+        .trim()
+        .split(' ')
+        .filter(Boolean);
+
+    while (tokens.length > 1 && HONORIFICS.has(tokens[0])) {
+        tokens.shift();
+    }
+
+    return tokens
+        .map((token, index) => {
+            // A leading "M." is almost always Muhammad
+            if (index === 0 && token === 'm' && tokens.length > 1) {
+                return 'muhammad';
+            }
+            return VARIANT_LOOKUP.get(token) || token;
+        })
+        .join(' ');
+}
+
+/**
+ * Levenshtein edit distance
+ */
+function levenshtein(a, b) {
+    if (a === b) return 0;
+    if (!a.length) return b.length;
+    if (!b.length) return a.length;
+
+    let previous = Array.from({ length: b.length + 1 }, (_, i) => i);
+    for (let i = 1; i <= a.length; i++) {
+        const current = [i];
+        for (let j = 1; j <= b.length; j++) {
+            const cost = a[i - 1] === b[j - 1] ? 0 : 1;
+            current[j] = Math.min(previous[j] + 1, current[j - 1] + 1, previous[j - 1] + cost);
+        }
+        previous = current;
+    }
+    return previous[b.length];
+}
+
+/**
+ * Similarity between two normalized names, 0 (different) to 1 (identical).
+ * Uses the better of the plain and token-sorted edit distance ratios so word order
+ * doesn't matter, while extra or missing words still lower the score.
+ * @param {string} a - Normalized name
+ * @param {string} b - Normalized name
+ * @returns {number}
+ */
+function nameSimilarity(a, b) {
+    if (!a || !b) return 0;
+    if (a === b) return 1;
+
+    const ratio = (x, y) => 1 - levenshtein(x, y) / Math.max(x.length, y.length);
+    const sortTokens = value => value.split(' ').sort().join(' ');
+
+    return Math.max(ratio(a, b), ratio(sortTokens(a), sortTokens(b)));
+}
+
+/**
+ * Character bigrams of a token, padded so the first and last letters count too
+ * @param {string} token - Normalized name token
+ * @returns {Set<string>}
+ */
+function tokenBigrams(token) {
+    const padded = ` ${token} `;
+    const bigrams = new Set();
+    for (let i = 0; i < padded.length - 1; i++) {
+        bigrams.add(padded.slice(i, i + 2));
+    }
+    return bigrams;
+}
+
+/**
+ * Public shape of a scored folder
+ */
+function describeFolder(folder, score) {
+    return {
+        id: folder.id,
+        name: folder.name,
+        path: folder.path,
+        score: Math.round(score * 1000) / 1000
+    };
+}
+
+/**
+ * Matches participant names against scanned folders.
+ * Build one per scan and reuse it; results are memoized per name.
+ */
+class FolderMatcher {
+    /**
+     * @param {Array<Object>} folders - Folder entries from scan results ({ id, name, path })
+     * @param {Object} options - { threshold, maxCandidates }
+     */
+    constructor(folders, options = {}) {
+        this.threshold = options.threshold !== undefined ? options.threshold : DEFAULT_MATCH_THRESHOLD;
+        this.maxCandidates = options.maxCandidates || DEFAULT_MAX_CANDIDATES;
+        this.folders = folders.map(folder => ({ ...folder, normalized: normalizeName(folder.name) }));
+        this.byNormalizedName = new Map();
+        this.byToken = new Map();
+        this.tokensByBigram = new Map();
+        this.memo = new Map();
+
+        for (const folder of this.folders) {
+            if (!this.byNormalizedName.has(folder.normalized)) {
+                this.byNormalizedName.set(folder.normalized, []);
+            }
+            this.byNormalizedName.get(folder.normalized).push(folder);
+
+            for (const token of new Set(folder.normalized.split(' '))) {
+                if (!this.byToken.has(token)) {
+                    this.byToken.set(token, []);
+                    tokenBigrams(token).forEach(bigram => {
+                        if (!this.tokensByBigram.has(bigram)) {
+                            this.tokensByBigram.set(bigram, []);
+                        }
+                        this.tokensByBigram.get(bigram).push(token);
+                    });
+                }
+                this.byToken.get(token).push(folder);
+            }
+        }
+    }
+
+    /**
+     * Folder name tokens equal or close to a participant token. Tokens sharing a
+     * character bigram are compared by edit distance; the rest can't be close.
+     * @param {string} token - Normalized participant token
+     * @returns {Array<string>}
+     */
+    similarTokens(token) {
+        const bigrams = tokenBigrams(token);
+        const shared = new Map();
+        bigrams.forEach(bigram => {
+            (this.tokensByBigram.get(bigram) || []).forEach(candidate => {
+                shared.set(candidate, (shared.get(candidate) || 0) + 1);
+            });
+        });
+
+        const similar = [];
+        for (const [candidate, count] of shared) {
+            const lengths = Math.max(token.length, candidate.length);
+            const maxEdits = Math.floor(lengths * (1 - TOKEN_POOL_SIMILARITY));
+            // Each edit changes at most two bigrams, so most tokens are ruled out before
+            // computing an edit distance
+            if (count < bigrams.size - 2 * maxEdits || Math.abs(token.length - candidate.length) > maxEdits) {
+                continue;
+            }
+            if (levenshtein(token, candidate) <= maxEdits) {
+                similar.push(candidate);
+            }
+        }
+        return similar;
+    }
+
+    /**
+     * Folders with a name token equal or similar to one of the participant's; only these
+     * are scored. Names without a usable token (only "muhammad", "al" etc.) are scored
+     * against every folder.
+     */
+    candidatePool(normalized) {
+        // "muhammad", "al" etc. are too common to narrow anything down on their own
+        const tokens = normalized.split(' ').filter(token => token.length >= 3 && token !== 'muhammad');
+        if (tokens.length === 0) {
+            return new Set(this.folders);
+        }
+
+        const pool = new Set();
+        for (const token of tokens) {
+            this.similarTokens(token).forEach(similar => {
+                this.byToken.get(similar).forEach(folder => pool.add(folder));
+            });
+        }
+        return pool;
+    }
+
+    /**
+     * Match a participant name to a folder.
+     * @param {string} participantNama - Participant name from the sheet
+     * @returns {Object} { match, confidence, candidates, autoShare, reason }
+     *   reason is one of EXACT, FUZZY, DUPLICATE, AMBIGUOUS, LOW_CONFIDENCE, NO_MATCH
+     */
+    match(participantNama) {
+        const memoKey = folderNameKey(participantNama);
+        if (this.memo.has(memoKey)) {
+            return this.memo.get(memoKey);
+        }
+
+        const normalized = normalizeName(participantNama);
+
+        let result;
+        const exact = this.byNormalizedName.get(normalized) || [];
+
+        if (exact.length === 1) {
+            result = {
+                match: describeFolder(exact[0], 1),
+                confidence: 1,
+                candidates: [describeFolder(exact[0], 1)],
+                autoShare: true,
+                reason: 'EXACT'
+            };
+        } else if (exact.length > 1) {
+            const candidates = exact.map(folder => describeFolder(folder, 1));
+            result = {
+                match: null,
+                confidence: 1,
+                candidates,
+                autoShare: false,
+                reason: 'DUPLICATE'
+            };
+        } else {
+            const scored = [...this.candidatePool(normalized)]
+                .map(folder => ({ folder, score: nameSimilarity(normalized, folder.normalized) }))
+                .sort((a, b) => b.score - a.score)
+                .slice(0, this.maxCandidates);
+
+            const candidates = scored.map(({ folder, score }) => describeFolder(folder, score));
+            const best = candidates[0];
+            const runnerUp = candidates[1];
+
+            if (!best) {
+                result = { match: null, confidence: 0, candidates, autoShare: false, reason: 'NO_MATCH' };
+            } else if (best.score < this.threshold) {
+                result = { match: null, confidence: best.score, candidates, autoShare: false, reason: 'LOW_CONFIDENCE' };
+            } else if (runnerUp && best.score - runnerUp.score < AMBIGUITY_MARGIN) {
+                result = { match: null, confidence: best.score, candidates, autoShare: false, reason: 'AMBIGUOUS' };
+            } else {
+                result = { match: best, confidence: best.score, candidates, autoShare: true, reason: 'FUZZY' };
+            }
+        }
+
+        this.memo.set(memoKey, result);
+        return result;
+    }
+
+    /**
+     * Free-text folder search for manual review. Folders whose name or path contains
+     * the query come first, followed by close fuzzy matches.
+     * @param {string} query - Name, path fragment or folder ID
+     * @param {number} limit - Maximum number of results
+     * @returns {Array<Object>} [{ id, name, path, score }]
+     */
+    search(query, limit = 20) {
+        const rawQuery = folderNameKey(query);
+        const normalized = normalizeName(query);
+        if (!rawQuery) {
+            return [];
+        }
+
+        return this.folders
+            .map(folder => {
+                if (folder.id === query.trim()) {
+                    return { folder, score: 1, contains: true };
+                }
+                const contains = (!!normalized && folder.normalized.includes(normalized)) ||
+                    folderNameKey(folder.path).includes(rawQuery);
+                return { folder, score: nameSimilarity(normalized, folder.normalized), contains };
+            })
+            .filter(({ score, contains }) => contains || score >= 0.6)
+            .sort((a, b) => (b.contains - a.contains) || (b.score - a.score))
+            .slice(0, limit)
+            .map(({ folder, score }) => describeFolder(folder, score));
+    }
+}
+
+/**
+ * Read the auto-share threshold from MATCH_THRESHOLD (0-1)
+ * @returns {number}
+ */
+function resolveMatchThreshold() {
+    const raw = process.env.MATCH_THRESHOLD;
+    if (raw === undefined || raw === '') {
+        return DEFAULT_MATCH_THRESHOLD;
+    }
+    const threshold = Number(raw);
+    if (!Number.isFinite(threshold) || threshold < 0 || threshold > 1) {
+        throw new Error(`Invalid MATCH_THRESHOLD "${raw}". Use a number between 0 and 1, e.g. 0.9`);
+    }
+    return threshold;
+}
+
+module.exports = {
+    FolderMatcher,
+    normalizeName,
+    nameSimilarity,
+    resolveMatchThreshold,
+    DEFAULT_MATCH_THRESHOLD
+};
@@ -0,0 +1,406 @@
+const fs = require('fs');
+const path = require('path');
+const util = require('util');
+const crypto = require('crypto');
+const { EventEmitter } = require('events');
+const { AsyncLocalStorage } = require('async_hooks');
+const { createRunId } = require('./share_ledger');
+const { writeJsonAtomic } = require('./atomic_file');
+
+const JOBS_FILE = path.join(__dirname, 'jobs.json');
+const JOB_LOG_DIR = path.join(__dirname, 'job_logs');
+
+const JOB_STATES = {
+    QUEUED: 'queued',
+    RUNNING: 'running',
+    PAUSED: 'paused',
+    DONE: 'done',
+    FAILED: 'failed',
+    CANCELLED: 'cancelled'
+};
+
+const ACTIVE_STATES = [JOB_STATES.QUEUED, JOB_STATES.RUNNING, JOB_STATES.PAUSED];
+
+// Jobs kept in jobs.json; older jobs and their logs are removed
+const MAX_STORED_JOBS = 100;
+// Output lines kept in memory per job for GET /api/jobs/:id; the full log is in job_logs/
+const OUTPUT_TAIL_LINES = 500;
+
+// Job whose code is running in the current async context, so console output can be routed to it
+const jobContext = new AsyncLocalStorage();
+let consoleCaptured = false;
+
+/**
+ * Route console output made while a job runs to that job's log instead of the server console.
+ * The scripts log with console.log/console.error, so this captures them without changes.
+ */
+function captureConsole() {
+    if (consoleCaptured) return;
+    consoleCaptured = true;
+
+    const streams = { log: 'stdout', info: 'stdout', warn: 'stderr', error: 'stderr' };
+    for (const [method, stream] of Object.entries(streams)) {
+        const original = console[method].bind(console);
+        console[method] = (...args) => {
+            const write = jobContext.getStore();
+            if (!write) {
+                return original(...args);
+            }
+            write(stream, util.format(...args));
+        };
+    }
+}
+
+function createJobId(type, date = new Date()) {
+    return `${type}-${createRunId(date)}-${crypto.randomBytes(3).toString('hex')}`;
+}
+
+/**
+ * One scan, cache, share, revoke or audit run
+ */
+class Job {
+    constructor({ id, type, params = {}, state = JOB_STATES.QUEUED, createdAt = new Date().toISOString(),
+        startedAt = null, endedAt = null, error = null, outputLines = 0 }) {
+        this.id = id;
+        this.type = type;
+        this.params = params;
+        this.state = state;
+        this.createdAt = createdAt;
+        this.startedAt = startedAt;
+        this.endedAt = endedAt;
+        this.error = error;
+        this.outputLines = outputLines;
+
+        // Runtime only, not saved to jobs.json
+        this.output = null;
+        this.logStream = null;
+        this.controller = null;
+        this.handle = null;
+    }
+
+    get active() {
+        return ACTIVE_STATES.includes(this.state);
+    }
+
+    toJSON() {
+        return {
+            id: this.id,
+            type: this.type,
+            params: this.params,
+            state: this.state,
+            createdAt: this.createdAt,
+            startedAt: this.startedAt,
+            endedAt: this.endedAt,
+            error: this.error,
+            outputLines: this.outputLines
+        };
+    }
+}
+
+/**
+ * Runs the dashboard's jobs inside the server process. Job types are registered
+ * with a run function; jobs that conflict with a running job wait in the queue.
+ * Emits 'output' (job, stream, text) and 'state' (job).
+ */
+class JobManager extends EventEmitter {
+    /**
+     * @param {Object} options
+     * @param {string} options.file - Where job records are kept across restarts
+     * @param {string} options.logDir - Directory for the full output of every job
+     */
+    constructor({ file = JOBS_FILE, logDir = JOB_LOG_DIR } = {}) {
+        super();
+        this.file = file;
+        this.logDir = logDir;
+        this.types = new Map();
+        this.jobs = [];
+        captureConsole();
+    }
+
+    /**
+     * Register a job type
+     * @param {string} type - e.g. 'share'
+     * @param {Object} definition
+     * @param {Function} definition.run - async (job, { signal }) => result
+     * @param {Array<string>} definition.conflicts - Types that must not run at the same time
+     * @param {boolean} definition.cancellable - Whether a running job can be cancelled
+     * @param {Function} definition.pause - Optional (job) => void; the job keeps its in-flight work
+     * @param {Function} definition.resume - Optional (job) => void
+     */
+    register(type, { run, conflicts = [], cancellable = true, pause = null, resume = null }) {
+        this.types.set(type, { run, conflicts, cancellable, pause, resume });
+    }
+
+    /**
+     * Load job records from a previous server run. Jobs that were still active
+     * were interrupted by the restart and are marked failed.
+     */
+    load() {
+        try {
+            if (!fs.existsSync(this.file)) {
+                return;
+            }
+
+            const data = JSON.parse(fs.readFileSync(this.file, 'utf8'));
+            this.jobs = (data.jobs || []).map(record => new Job(record));
+
+            const interrupted = this.jobs.filter(job => job.active);
+            interrupted.forEach(job => {
+                job.state = JOB_STATES.FAILED;
+                job.error = 'Interrupted by server restart';
+                job.endedAt = job.endedAt || new Date().toISOString();
+            });
+            if (interrupted.length > 0) {
+                console.log(`⚠️ Marked ${interrupted.length} interrupted jobs as failed`);
+                this.save();
+            }
+            console.log(`📂 Loaded ${this.jobs.length} jobs from ${path.basename(this.file)}`);
+        } catch (error) {
+            console.error('❌ Error loading jobs:', error.message);
+            this.jobs = [];
+        }
+    }
+
+    save() {
+        try {
+            const removed = this.jobs.slice(0, Math.max(0, this.jobs.length - MAX_STORED_JOBS));
+            removed.forEach(job => fs.rmSync(this.logPath(job), { force: true }));
+            this.jobs = this.jobs.slice(-MAX_STORED_JOBS);
+
+            writeJsonAtomic(this.file, {
+                updatedAt: new Date().toISOString(),
+                jobs: this.jobs
+            });
+        } catch (error) {
+            console.error('❌ Error saving jobs:', error.message);
+        }
+    }
+
+    logPath(job) {
+        return path.join(this.logDir, `${job.id}.log`);
+    }
+
+    /**
+     * Queue a job. It starts right away unless a conflicting job is running.
+     * @returns {Job}
+     */
+    create(type, params = {}) {
+        if (!this.types.has(type)) {
+            throw new Error(`Unknown job type: ${type}`);
+        }
+
+        const job = new Job({ id: createJobId(type), type, params });
+        this.jobs.push(job);
+        this.save();
+        this.emit('state', job);
+
+        this.startQueued();
+        return job;
+    }
+
+    get(id) {
+        return this.jobs.find(job => job.id === id) || null;
+    }
+
+    /**
+     * Jobs, newest first
+     * @param {Object} filter - Optional { type, state }
+     */
+    list({ type, state } = {}) {
+        return this.jobs
+            .filter(job => (!type || job.type === type) && (!state || job.state === state))
+            .reverse();
+    }
+
+    /**
+     * The queued, running or paused job of a type
+     */
+    findActive(type) {
+        return this.jobs.find(job => job.type === type && job.active) || null;
+    }
+
+    /**
+     * Cancel a job. Queued jobs are removed from the queue; running jobs stop at
+     * their next checkpoint and keep the work finished so far.
+     * @throws {Error} When the job has finished or cannot be cancelled while running
+     */
+    cancel(id) {
+        const job = this.get(id);
+        if (!job) {
+            throw new Error(`Job ${id} not found`);
+        }
+        if (!job.active) {
+            throw new Error(`Job ${id} is already ${job.state}`);
+        }
+
+        if (job.state === JOB_STATES.QUEUED) {
+            this.finish(job, JOB_STATES.CANCELLED);
+            return job;
+        }
+
+        if (!this.types.get(job.type).cancellable) {
+            throw new Error(`${job.type} jobs cannot be cancelled once running`);
+        }
+
+        job.controller.abort();
+        return job;
+    }
+
+    /**
+     * Pause a running job
+     * @throws {Error} When the job is not running or its type cannot pause
+     */
+    pause(id) {
+        const job = this.get(id);
+        if (!job) {
+            throw new Error(`Job ${id} not found`);
+        }
+        if (job.state !== JOB_STATES.RUNNING) {
+            throw new Error(`Job ${id} is ${job.state}, not running`);
+        }
+
+        const { pause } = this.types.get(job.type);
+        if (!pause) {
+            throw new Error(`${job.type} jobs cannot be paused`);
+        }
+
+        pause(job);
+        this.setState(job, JOB_STATES.PAUSED);
+        return job;
+    }
+
+    /**
+     * Resume a paused job
+     * @throws {Error} When the job is not paused
+     */
+    resume(id) {
+        const job = this.get(id);
+        if (!job) {
+            throw new Error(`Job ${id} not found`);
+        }
+        if (job.state !== JOB_STATES.PAUSED) {
+            throw new Error(`Job ${id} is ${job.state}, not paused`);
+        }
+
+        this.types.get(job.type).resume(job);
+        this.setState(job, JOB_STATES.RUNNING);
+        return job;
+    }
+
+    setState(job, state) {
+        job.state = state;
+        this.save();
+        this.emit('state', job);
+    }
+
+    /**
+     * Whether `job` may start next to the running jobs
+     */
+    canStart(job) {
+        const { conflicts } = this.types.get(job.type);
+        return !this.jobs.some(other =>
+            other !== job &&
+            [JOB_STATES.RUNNING, JOB_STATES.PAUSED].includes(other.state) &&
+            (conflicts.includes(other.type) || this.types.get(other.type).conflicts.includes(job.type))
+        );
+    }
+
+    startQueued() {
+        for (const job of this.jobs) {
+            if (job.state === JOB_STATES.QUEUED && this.canStart(job)) {
+                this.execute(job);
+            }
+        }
+    }
+
+    /**
+     * Output lines of a job: the in-memory tail, or the log file for jobs from
+     * before a restart
+     */
+    readOutput(job, lines = OUTPUT_TAIL_LINES) {
+        if (job.output) {
+            return job.output.slice(-lines);
+        }
+
+        const logPath = this.logPath(job);
+        if (!fs.existsSync(logPath)) {
+            return [];
+        }
+        return fs.readFileSync(logPath, 'utf8').split('\n').filter(Boolean).slice(-lines);
+    }
+
+    appendOutput(job, stream, text) {
+        const lines = text.split('\n').map(line => stream === 'stderr' ? `[stderr] ${line}` : line);
+        job.output.push(...lines);
+        if (job.output.length > OUTPUT_TAIL_LINES) {
+            job.output.splice(0, job.output.length - OUTPUT_TAIL_LINES);
+        }
+        job.outputLines += lines.length;
+
+        if (job.logStream) {
+            job.logStream.write(`${lines.join('\n')}\n`);
+        }
+        this.emit('output', job, stream, text);
+    }
+
+    async execute(job) {
+        const { run } = this.types.get(job.type);
+
+        job.state = JOB_STATES.RUNNING;
+        job.startedAt = new Date().toISOString();
+        job.output = [];
+        job.controller = new AbortController();
+        fs.mkdirSync(this.logDir, { recursive: true });
+        job.logStream = fs.createWriteStream(this.logPath(job), { flags: 'a' });
+        this.save();
+        this.emit('state', job);
+
+        const write = (stream, text) => this.appendOutput(job, stream, text);
+        await jobContext.run(write, async () => {
+            try {
+                console.log(`🚀 Job ${job.id} started`);
+                await run(job, { signal: job.controller.signal });
+
+                if (job.controller.signal.aborted) {
+                    console.log(`🛑 Job ${job.id} cancelled`);
+                    this.finish(job, JOB_STATES.CANCELLED);
+                } else {
+                    console.log(`✅ Job ${job.id} finished`);
+                    this.finish(job, JOB_STATES.DONE);
+                }
+            } catch (error) {
+                if (job.controller.signal.aborted) {
+                    console.log(`🛑 Job ${job.id} cancelled: ${error.message}`);
+                    this.finish(job, JOB_STATES.CANCELLED);
+                } else {
+                    console.error(`❌ Job ${job.id} failed:`, error.message);
+                    this.finish(job, JOB_STATES.FAILED, error.message);
+                }
+            }
+        });
+    }
+
+    finish(job, state, error = null) {
+        job.state = state;
+        job.error = error;
+        job.endedAt = new Date().toISOString();
+        job.controller = null;
+        job.handle = null;
+        if (job.logStream) {
+            job.logStream.end();
+            job.logStream = null;
+        }
+        this.save();
+        this.emit('state', job);
+
+        this.startQueued();
+    }
+}
+
+module.exports = {
+    JOBS_FILE,
+    JOB_LOG_DIR,
+    JOB_STATES,
+    Job,
+    JobManager
+};
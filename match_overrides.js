@@ -0,0 +1,119 @@
+const fs = require('fs');
+const path = require('path');
+const { folderNameKey } = require('./scan_results');
+const { writeJsonAtomic } = require('./atomic_file');
+
+const DEFAULT_MATCH_OVERRIDES_PATH = path.join(__dirname, 'match_overrides.json');
+
+// FOLDER: share the chosen folder; NO_FOLDER: participant is not expected to have one
+const OVERRIDE_DECISIONS = ['FOLDER', 'NO_FOLDER'];
+
+/**
+ * Key identifying a participant across runs. Sheet rows can move when responses
+ * are deleted or sorted, so name and email are used instead.
+ * @param {Object} participant - { nama, email }
+ * @returns {string}
+ */
+function participantKey(participant) {
+    const email = (participant.email || '').toLowerCase().trim();
+    return `${folderNameKey(participant.nama)}|${email}`;
+}
+
+/**
+ * Load saved review decisions. A missing file means nothing has been reviewed yet.
+ * @param {string} filePath - Path to the overrides file
+ * @returns {Object} { version, updatedAt, overrides: { [participantKey]: decision } }
+ */
+function loadMatchOverrides(filePath = DEFAULT_MATCH_OVERRIDES_PATH) {
+    if (!fs.existsSync(filePath)) {
+        return { version: 1, updatedAt: null, overrides: {} };
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        version: data.version || 1,
+        updatedAt: data.updatedAt || null,
+        overrides: data.overrides || {}
+    };
+}
+
+/**
+ * Save review decisions to disk
+ * @param {Object} data - Overrides data from loadMatchOverrides
+ * @param {string} filePath - Path to the overrides file
+ */
+function saveMatchOverrides(data, filePath = DEFAULT_MATCH_OVERRIDES_PATH) {
+    data.updatedAt = new Date().toISOString();
+    writeJsonAtomic(filePath, data);
+}
+
+/**
+ * Record a review decision for a participant
+ * @param {Object} data - Overrides data from loadMatchOverrides
+ * @param {Object} participant - { nama, email, row }
+ * @param {string} decision - FOLDER or NO_FOLDER
+ * @param {Object} folder - Chosen folder ({ id, name, path }), required for FOLDER
+ * @returns {Object} The stored override
+ */
+function setMatchOverride(data, participant, decision, folder = null) {
+    if (!participant || !participant.nama) {
+        throw new Error('Participant name is required');
+    }
+    if (!OVERRIDE_DECISIONS.includes(decision)) {
+        throw new Error(`Invalid decision "${decision}". Use one of: ${OVERRIDE_DECISIONS.join(', ')}`);
+    }
+    if (decision === 'FOLDER' && (!folder || !folder.id)) {
+        throw new Error('A folder is required when accepting a match');
+    }
+
+    const key = participantKey(participant);
+    const override = {
+        key,
+        decision,
+        nama: participant.nama,
+        email: participant.email || '',
+        row: participant.row || null,
+        folderId: decision === 'FOLDER' ? folder.id : null,
+        folderName: decision === 'FOLDER' ? folder.name || null : null,
+        folderPath: decision === 'FOLDER' ? folder.path || null : null,
+        decidedAt: new Date().toISOString()
+    };
+
+    data.overrides[key] = override;
+    return override;
+}
+
+/**
+ * Remove a review decision
+ * @param {Object} data - Overrides data from loadMatchOverrides
+ * @param {string} key - Participant key
+ * @returns {boolean} Whether a decision was removed
+ */
+function removeMatchOverride(data, key) {
+    if (!data.overrides[key]) {
+        return false;
+    }
+    delete data.overrides[key];
+    return true;
+}
+
+/**
+ * Look up the review decision for a participant
+ * @param {Object} data - Overrides data from loadMatchOverrides
+ * @param {Object} participant - { nama, email }
+ * @returns {Object|null}
+ */
+function findMatchOverride(data, participant) {
+    return data.overrides[participantKey(participant)] || null;
+}
+
+module.exports = {
+    DEFAULT_MATCH_OVERRIDES_PATH,
+    OVERRIDE_DECISIONS,
+    participantKey,
+    loadMatchOverrides,
+    saveMatchOverrides,
+    setMatchOverride,
+    removeMatchOverride,
+    findMatchOverride
+};
@@ -3,6 +3,30 @@ const fs = require('fs');
 const path = require('path');
 const Table = require('cli-table3');
 const { Worker } = require('worker_threads');
+const { loadScanResults, extractDriveFolderId } = require('./scan_results');
+const { FolderMatcher, resolveMatchThreshold } = require('./folder_matcher');
+const { loadMatchOverrides, findMatchOverride } = require('./match_overrides');
+const { loadSheetColumns, resolveWorksheetName, SHARE_REQUIRED_COLUMNS } = require('./sheet_columns');
+const { resolveShareOptions, buildPermissionRequest, folderUrl } = require('./share_options');
+const {
+    createRunId,
+    loadShareLedger,
+    saveShareLedger,
+    recordShare,
+    recordRevocation,
+    parseRowSelection,
+    selectShares,
+    otherActiveShares
+} = require('./share_ledger');
+const { resolveRetryPolicy, withRetry } = require('./retry_policy');
+const { resolveRateLimit, TokenBucketLimiter } = require('./rate_limiter');
+const { loadBatchConfig, validateBatchValue } = require('./batch_config');
+const { SHARE_EVENT_TYPES, ShareEventChannel } = require('./share_events');
+const { runCache } = require('./cache_peserta');
+const { writeJsonAtomic } = require('./atomic_file');
+const { ShareJournal } = require('./share_journal');
+const { validateEmail } = require('./email_validation');
+const { ERROR_ISSUE_TYPES, classifyError } = require('./error_classifier');
 require('dotenv').config();
 
 // Environment variables validation
@@ -40,30 +64,71 @@ function validateEnvironmentVariables() {
     console.log(`📋 Worksheet Name: ${process.env.WORKSHEET_NAME}`);
 }
 
+/**
+ * Parse revoke mode arguments:
+ *   --revoke [--rows 10-20,25] [--emails a@x.com,b@y.com] [--run <runId>]
+ * Filters combine, so every selected share must match all of them.
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {Object|null} Selection, or null when not revoking
+ */
+function resolveRevokeSelection(argv = []) {
+    if (!argv.includes('--revoke')) {
+        return null;
+    }
+
+    const readOption = name => {
+        const index = argv.indexOf(`--${name}`);
+        if (index !== -1) return argv[index + 1];
+        const inline = argv.find(arg => arg.startsWith(`--${name}=`));
+        return inline ? inline.slice(name.length + 3) : undefined;
+    };
+
+    const rows = readOption('rows');
+    const emails = readOption('emails');
+    const selection = {
+        rows: rows ? parseRowSelection(rows) : [],
+        emails: emails ? emails.split(',').map(email => email.trim()).filter(Boolean) : [],
+        runId: readOption('run') || null
+    };
+
+    if (selection.rows.length === 0 && selection.emails.length === 0 && !selection.runId) {
+        throw new Error('Revoke needs at least one of --rows, --emails or --run');
+    }
+    return selection;
+}
+
 class BatchShareMonitor {
-    constructor() {
+    /**
+     * @param {Object} batchConfig - { workerCount, batchSize, apiDelay } from batch_config.js
+     */
+    constructor(batchConfig = loadBatchConfig()) {
         this.drive = null;
         this.sheets = null;
         this.cachedParticipants = [];
-        this.scanResults = {};
+        this.scanFolders = [];
+        this.scanFoldersById = new Map();
+        this.folderMatcher = null;
+        this.matchOverrides = { overrides: {} };
         this.shareResults = [];
         this.batchUpdates = [];
 
+        // Sheet columns are located by header (see sheet_columns.js) before sharing starts
+        this.worksheetName = null;
+        this.sheetColumns = {};
+        this.writeFolderUrl = (process.env.WRITE_FOLDER_URL || '').toLowerCase() === 'true';
+
+        // Permission role, notification email and message (see share_options.js)
+        this.shareOptions = null;
+
         // Multi-worker configuration
-        this.workerCount = 16;
+        this.workerCount = batchConfig.workerCount;
         this.workers = [];
         this.taskQueue = [];
         this.activeWorkers = 0;
         this.completedTasks = 0;
 
         // Worker status tracking
-        this.workerStats = Array(this.workerCount).fill(null).map((_, index) => ({
-            id: index,
-            status: 'idle', // idle, working, error
-            currentParticipant: null,
-            tasksCompleted: 0,
-            errors: 0
-        }));
+        this.workerStats = Array(this.workerCount).fill(null).map((_, index) => createWorkerStats(index));
 
         // Progress tracking
         this.progressStats = {
@@ -78,12 +143,46 @@ class BatchShareMonitor {
         // Error tracking
         this.errorLog = [];
         this.startTime = new Date();
+
+        // Every created permission is recorded in share_ledger.json so it can be revoked
+        this.runId = createRunId(this.startTime);
+        this.shareLedger = null;
+        this.revokeResults = [];
         
         // History tracking for resume functionality
         this.historyFile = path.join(__dirname, 'monitor_share_history.json');
         this.processedParticipants = new Set(); // Track processed participants
-        this.batchSize = parseInt(process.env.BATCH_SIZE) || 10; // Batch size for history saves
+        this.batchSize = batchConfig.batchSize; // Batch size for history saves
         this.lastBatchSave = 0;
+
+        // Sheet updates are written during the run once SHEET_FLUSH_SIZE are pending or
+        // every SHEET_FLUSH_INTERVAL seconds; batchUpdates holds the ones not yet confirmed
+        this.sheetFlushSize = batchConfig.sheetFlushSize;
+        this.sheetFlushInterval = batchConfig.sheetFlushInterval;
+        this.sheetFlushTimer = null;
+        this.sheetFlush = null;
+        this.sheetUpdatesWritten = 0;
+
+        // Every share outcome is journaled before it is applied; the history file is
+        // a snapshot of the journal (see share_journal.js)
+        this.journal = new ShareJournal();
+
+        // cache_peserta.json is updated in memory and written with each snapshot
+        this.localCache = null;
+        this.localCacheDirty = false;
+
+        // Each worker waits API_DELAY ms between its API calls and retries transient failures
+        this.apiDelay = batchConfig.apiDelay;
+        this.retryPolicy = null;
+
+        // One token bucket in the main thread paces the API calls of all workers
+        this.rateLimiter = null;
+        this.events = new ShareEventChannel();
+
+        // Set by cancel(): queued tasks are dropped, in-flight tasks still finish
+        this.cancelled = false;
+        // Set by pause(): queued tasks wait until resume()
+        this.paused = false;
     }
 
     async initialize() {
@@ -116,6 +215,45 @@ class BatchShareMonitor {
         }
     }
 
+    /**
+     * Resolve the share role, notification setting and message template for this run
+     * @param {Array<string>} argv - Command line arguments, empty for dashboard jobs
+     */
+    loadShareOptions(argv = []) {
+        this.shareOptions = resolveShareOptions(argv);
+        const { role, sendNotificationEmail, messageTemplate, recipientRule } = this.shareOptions;
+        console.log(`🔐 Sharing as ${role}, notification email ${sendNotificationEmail ? 'on' : 'off'}${sendNotificationEmail && messageTemplate ? ' with custom message' : ''}, ${recipientRule === 'all' ? 'every recipient must get access' : 'one recipient with access is enough'}`);
+        return this.shareOptions;
+    }
+
+    /**
+     * Resolve retry settings for the workers (RETRY_MAX_ATTEMPTS, RETRY_BASE_DELAY, RETRY_MAX_DELAY)
+     */
+    loadRetryPolicy() {
+        this.retryPolicy = resolveRetryPolicy();
+        const { maxAttempts, baseDelay, maxDelay } = this.retryPolicy;
+        console.log(`🔁 Up to ${maxAttempts} attempts per API call (backoff ${baseDelay}ms to ${maxDelay}ms), ${this.apiDelay}ms between calls per worker`);
+        return this.retryPolicy;
+    }
+
+    /**
+     * Create the shared rate limiter (RATE_LIMIT_RPS, RATE_LIMIT_BURST, RATE_LIMIT_MIN_RPS)
+     */
+    loadRateLimiter() {
+        const options = resolveRateLimit();
+        this.rateLimiter = new TokenBucketLimiter(options);
+        this.rateLimiter.onRateChange = (snapshot) => {
+            if (snapshot.throttled) {
+                console.log(`🚦 Rate limit: ${snapshot.rate}/s of ${snapshot.maxRate}/s after ${snapshot.rateLimitErrors} rate-limit errors`);
+            } else {
+                console.log(`🚦 Rate limit: back to ${snapshot.rate}/s`);
+            }
+            this.emitSpeedUpdate();
+        };
+        console.log(`🚦 Limiting API calls to ${options.rate}/s (burst ${options.burst}, slowing down to at least ${options.minRate}/s on rate-limit errors)`);
+        return this.rateLimiter;
+    }
+
     loadCachedParticipants() {
         try {
             const cachePath = path.join(__dirname, 'cache_peserta.json');
@@ -136,20 +274,16 @@ class BatchShareMonitor {
     loadScanResults() {
         try {
             const scanPath = path.join(__dirname, 'scan_results.json');
-            if (!fs.existsSync(scanPath)) {
-                throw new Error('scan_results.json not found. Please run cache.js first.');
-            }
+            const scanData = loadScanResults(scanPath);
 
-            const rawScanResults = JSON.parse(fs.readFileSync(scanPath, 'utf8'));
-
-            this.scanResults = {};
-            for (const [folderName, folderId] of Object.entries(rawScanResults)) {
-                const folderNameLower = folderName.toLowerCase().trim();
-                this.scanResults[folderNameLower] = folderId;
-            }
+            this.scanFolders = scanData.folders;
+            this.scanFoldersById = new Map(scanData.folders.map(folder => [folder.id, folder]));
+            this.folderMatcher = new FolderMatcher(scanData.folders, {
+                threshold: resolveMatchThreshold()
+            });
 
-            console.log(`📂 Loaded scan results with ${Object.keys(this.scanResults).length} folders`);
-            return this.scanResults;
+            console.log(`📂 Loaded scan results with ${this.scanFolders.length} folders (auto-share threshold ${this.folderMatcher.threshold})`);
+            return this.scanFolders;
         } catch (error) {
             console.error('❌ Error loading scan results:', error.message);
             throw error;
@@ -157,13 +291,40 @@ class BatchShareMonitor {
     }
 
     /**
-     * Load previous processing history to enable resume functionality
+     * Load folder decisions made in the dashboard review queue
+     */
+    loadMatchOverrides() {
+        try {
+            this.matchOverrides = loadMatchOverrides(path.join(__dirname, 'match_overrides.json'));
+            const count = Object.keys(this.matchOverrides.overrides).length;
+            if (count > 0) {
+                console.log(`📝 Loaded ${count} manual folder decisions from match_overrides.json`);
+            }
+            return this.matchOverrides;
+        } catch (error) {
+            console.error('❌ Error loading match overrides:', error.message);
+            throw error;
+        }
+    }
+
+    /**
+     * Load previous processing history to enable resume functionality: the last
+     * snapshot, then the outcomes journaled after it
      */
     loadProcessingHistory() {
+        const journalSeq = this.loadHistorySnapshot();
+        this.replayJournal(journalSeq);
+    }
+
+    /**
+     * Load monitor_share_history.json
+     * @returns {number} Seq of the last journal entry the snapshot contains
+     */
+    loadHistorySnapshot() {
         try {
             if (!fs.existsSync(this.historyFile)) {
                 console.log('📝 No previous processing history found. Starting fresh.');
-                return;
+                return 0;
             }
 
             const historyData = JSON.parse(fs.readFileSync(this.historyFile, 'utf8'));
@@ -174,6 +335,11 @@ class BatchShareMonitor {
                 console.log(`📂 Loaded ${this.processedParticipants.size} previously processed participants`);
             }
 
+            // A resumed run keeps its original run ID
+            if (historyData.runId) {
+                this.runId = historyData.runId;
+            }
+
             // Load previous share results
             if (historyData.shareResults) {
                 this.shareResults = historyData.shareResults;
@@ -220,19 +386,60 @@ class BatchShareMonitor {
             }
 
             console.log('✅ Processing history loaded successfully');
+            return historyData.journalSeq || 0;
             
         } catch (error) {
             console.error('❌ Error loading processing history:', error.message);
             console.log('🔄 Starting fresh (history file corrupted)');
             this.processedParticipants = new Set();
+            return 0;
+        }
+    }
+
+    /**
+     * Apply the outcomes journaled after the last snapshot, so shares finished
+     * before a crash are not repeated and still reach the sheet update
+     * @param {number} afterSeq - Journal seq stored in the snapshot
+     */
+    replayJournal(afterSeq) {
+        try {
+            const { entries, skipped } = this.journal.entriesAfter(afterSeq);
+            if (skipped > 0) {
+                console.log(`⚠️ Skipped ${skipped} unreadable journal lines (write interrupted by a crash)`);
+            }
+            if (entries.length === 0 && skipped === 0) {
+                return;
+            }
+
+            if (entries.length > 0) {
+                // Without a snapshot the run ID only survives in the journal
+                this.runId = entries[entries.length - 1].runId || this.runId;
+                entries.forEach(entry => this.applyOutcome(entry, { replay: true }));
+                // processWithWorkers sets the real total; until then the snapshot needs
+                // processed <= total to be loaded again
+                this.progressStats.total = Math.max(this.progressStats.total, this.progressStats.processed);
+                console.log(`📂 Replayed ${entries.length} share outcomes from ${path.basename(this.journal.filePath)}`);
+            }
+
+            // Snapshot right away, which also empties the journal so new entries are
+            // not appended after a cut-off line
+            this.saveProcessingHistory();
+        } catch (error) {
+            console.error('❌ Error replaying share journal:', error.message);
+            throw error;
         }
     }
 
     /**
-     * Save current processing progress to history file
+     * Save current processing progress to history file. The ledger and local cache
+     * are written first, then the snapshot, and only then is the journal emptied,
+     * so a crash at any point leaves the journal entries that are not yet saved.
      */
     saveProcessingHistory() {
         try {
+            this.saveShareLedger();
+            this.saveLocalCache();
+
             const historyData = {
                 timestamp: new Date().toISOString(),
                 processedParticipants: Array.from(this.processedParticipants),
@@ -240,10 +447,13 @@ class BatchShareMonitor {
                 batchUpdates: this.batchUpdates,
                 errorLog: this.errorLog,
                 progressStats: this.progressStats,
-                startTime: this.startTime.toISOString()
+                startTime: this.startTime.toISOString(),
+                runId: this.runId,
+                journalSeq: this.journal.seq
             };
 
-            fs.writeFileSync(this.historyFile, JSON.stringify(historyData, null, 2));
+            writeJsonAtomic(this.historyFile, historyData);
+            this.journal.reset();
             console.log(`💾 Processing history saved (${this.processedParticipants.size} participants processed)`);
             
         } catch (error) {
@@ -274,35 +484,112 @@ class BatchShareMonitor {
     }
 
     /**
-     * Update local cache file immediately after successful share
+     * Journal a share outcome, then apply it. If the journal cannot be written the
+     * outcome is still applied and only the periodic snapshot protects it.
+     * @param {Object} entry - { runId, result, errorInfo, sheetUpdates, cacheUpdate, ledgerShares }
      */
-    updateLocalCache(participant, isShared, lastLog) {
+    recordOutcome(entry) {
+        let record = entry;
         try {
-            const cachePath = './cache_peserta.json';
-            if (fs.existsSync(cachePath)) {
-                const cacheData = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
-                
-                // Find and update the participant in cache
-                const participantIndex = cacheData.participants.findIndex(p => 
-                    p.row === participant.row && p.email === participant.email
-                );
-                
-                if (participantIndex !== -1) {
-                    cacheData.participants[participantIndex].isShared = isShared;
-                    cacheData.participants[participantIndex].lastLog = lastLog;
-                    
-                    fs.writeFileSync(cachePath, JSON.stringify(cacheData, null, 2));
-                    console.log(`📝 Updated local cache for ${participant.nama}`);
-                    
-                    // Emit real-time update for dashboard
-                    this.emitDashboardUpdate(cacheData);
+            record = this.journal.append(entry);
+        } catch (error) {
+            console.error('❌ Error writing share journal:', error.message);
+        }
+        this.applyOutcome(record);
+    }
+
+    /**
+     * Apply a share outcome to the run state. Live outcomes and journal replay both
+     * go through here, so a resumed run ends up in the same state.
+     * @param {Object} record - Entry passed to recordOutcome
+     * @param {Object} options - { replay: true } while replaying the journal, before
+     *   the run knows its total; the counts are validated once processWithWorkers sets it
+     */
+    applyOutcome(record, { replay = false } = {}) {
+        const { result } = record;
+
+        this.shareResults.push(result);
+        this.processedParticipants.add(`${result.participant.nama}|${result.participant.email}`);
+        this.batchUpdates.push(...record.sheetUpdates);
+
+        if (record.errorInfo) {
+            this.errorLog.push(record.errorInfo);
+        }
+        // Journals written before recipients were tracked hold a single ledgerShare
+        const ledgerShares = record.ledgerShares || (record.ledgerShare ? [record.ledgerShare] : []);
+        if (this.shareLedger) {
+            ledgerShares.forEach(share => recordShare(this.shareLedger, share));
+        }
+        if (record.cacheUpdate) {
+            const { isShared, lastLog, folderId } = record.cacheUpdate;
+            this.updateLocalCache(result.participant, isShared, lastLog, folderId);
+        }
+
+        this.progressStats.processed++;
+        if (result.success) {
+            this.progressStats.successful++;
+        } else {
+            this.progressStats.failed++;
+        }
+
+        // Validate stats to prevent corruption
+        if (!replay) {
+            this.validateProgressStats();
+        }
+    }
+
+    /**
+     * cache_peserta.json as changed by this run, read on first use
+     * @returns {Object|null} Null when there is no cache file
+     */
+    getLocalCache() {
+        if (this.localCache === null) {
+            const cachePath = path.join(__dirname, 'cache_peserta.json');
+            if (!fs.existsSync(cachePath)) {
+                return null;
+            }
+            this.localCache = JSON.parse(fs.readFileSync(cachePath, 'utf8'));
+        }
+        return this.localCache;
+    }
+
+    /**
+     * Update a participant in the local cache. The file is written with the next
+     * history snapshot (see saveLocalCache).
+     */
+    updateLocalCache(participant, isShared, lastLog, folderIdValue = null) {
+        try {
+            const cacheData = this.getLocalCache();
+            if (!cacheData) return;
+
+            // Find and update the participant in cache
+            const cached = cacheData.participants.find(p =>
+                p.row === participant.row && p.email === participant.email
+            );
+
+            if (cached) {
+                cached.isShared = isShared;
+                cached.lastLog = lastLog;
+                if (folderIdValue) {
+                    cached.folderId = folderIdValue;
                 }
+                this.localCacheDirty = true;
             }
         } catch (error) {
             console.error('❌ Error updating local cache:', error.message);
         }
     }
 
+    saveLocalCache() {
+        if (!this.localCacheDirty) return;
+        try {
+            writeJsonAtomic(path.join(__dirname, 'cache_peserta.json'), this.localCache);
+            this.localCacheDirty = false;
+        } catch (error) {
+            console.error('❌ Error saving local cache:', error.message);
+        }
+    }
+
     /**
      * Validate and fix progress stats to prevent corruption
      */
@@ -327,7 +614,9 @@ class BatchShareMonitor {
         this.progressStats.successful = Math.max(0, this.progressStats.successful);
         this.progressStats.failed = Math.max(0, this.progressStats.failed);
         this.progressStats.errors = Math.max(0, this.progressStats.errors);
-        this.progressStats.activeWorkers = Math.max(0, Math.min(this.progressStats.activeWorkers, this.workerCount));
+        // Workers being stopped after a pool resize still count until their task finishes
+        const liveWorkers = Math.max(this.workerCount, this.workers.filter(Boolean).length);
+        this.progressStats.activeWorkers = Math.max(0, Math.min(this.progressStats.activeWorkers, liveWorkers));
     }
 
     /**
@@ -343,22 +632,33 @@ class BatchShareMonitor {
         const eta = this.progressStats.processed > 0 ?
             Math.floor((elapsed / this.progressStats.processed) * this.progressStats.total) - elapsed : 0;
         
-        console.log(`SPEED_UPDATE: ${JSON.stringify({
+        this.events.emit(SHARE_EVENT_TYPES.PROGRESS, {
             speed: parseFloat(throughput),
             unit: 'second',
             processed: this.progressStats.processed,
             total: this.progressStats.total,
             successful: this.progressStats.successful,
             failed: this.progressStats.failed,
+            errors: this.progressStats.errors,
             activeWorkers: this.progressStats.activeWorkers,
             workerCount: this.workerCount,
-            eta: eta > 0 ? eta : null,
-            timestamp: new Date().toISOString()
-        })}`);
+            queued: this.taskQueue.length,
+            paused: this.paused,
+            sheetPending: this.batchUpdates.length,
+            rateLimit: this.rateLimiter ? this.rateLimiter.snapshot() : null,
+            eta: eta > 0 ? eta : null
+        });
+    }
+
+    /**
+     * Emit a worker state change for the dashboard worker cards
+     */
+    emitWorkerStatus(workerId, status, participant = null) {
+        this.events.emit(SHARE_EVENT_TYPES.WORKER_STATUS, { workerId, status, participant });
     }
 
     /**
-     * Emit dashboard update via console (parsed by server.js)
+     * Emit dashboard stats for server.js
      */
     emitDashboardUpdate(cacheData) {
         const unsharedCount = cacheData.participants.filter(p => !p.isShared).length;
@@ -366,19 +666,19 @@ class BatchShareMonitor {
         const sharedCount = totalParticipants - unsharedCount;
         const successRate = totalParticipants > 0 ? ((sharedCount / totalParticipants) * 100).toFixed(1) : 0;
         
-        // Calculate actual failed count (excluding folder issues)
-        const actualFailedCount = this.shareResults.filter(r => !r.success && r.issueType !== 'NO_FOLDER').length;
-        const folderIssueCount = this.shareResults.filter(r => r.issueType === 'NO_FOLDER').length;
+        // Calculate actual failed count (excluding folder and email issues found before any API call)
+        const isFolderIssue = r => ['NO_FOLDER', 'DUPLICATE_FOLDER', 'LOW_CONFIDENCE', 'FOLDER_ID_NOT_FOUND'].includes(r.issueType);
+        const actualFailedCount = this.shareResults.filter(r => !r.success && r.status !== 'PENDING').length;
+        const folderIssueCount = this.shareResults.filter(isFolderIssue).length;
         
-        console.log(`DASHBOARD_UPDATE: ${JSON.stringify({
+        this.events.emit(SHARE_EVENT_TYPES.DASHBOARD, {
             totalParticipants,
             unsharedCount,
             sharedCount,
             failedCount: actualFailedCount,
             folderIssues: folderIssueCount,
-            successRate: parseFloat(successRate),
-            timestamp: new Date().toISOString()
-        })}`);
+            successRate: parseFloat(successRate)
+        });
     }
 
     /**
@@ -405,62 +705,46 @@ class BatchShareMonitor {
         const issues = latestResults.filter(r => !r.success || r.issueType);
         const successfulResults = latestResults.filter(r => r.success);
         
-        // Limit the number of issues to prevent JSON parsing errors
-        const maxIssues = 50;
+        // The results table only lists the first issues and shows how many are left out;
+        // the full list is in monitor_share_results.json
+        const maxIssues = 500;
         const limitedIssues = issues.slice(0, maxIssues);
         
         const issueSummary = {
             totalIssues: issues.length,
             noFolder: issues.filter(r => r.issueType === 'NO_FOLDER').length,
+            duplicateFolder: issues.filter(r => r.issueType === 'DUPLICATE_FOLDER').length,
+            lowConfidence: issues.filter(r => r.issueType === 'LOW_CONFIDENCE').length,
+            folderIdNotFound: issues.filter(r => r.issueType === 'FOLDER_ID_NOT_FOUND').length,
             emailIssues: issues.filter(r => r.issueType === 'EMAIL_INVALID').length,
+            emailConflicts: issues.filter(r => r.issueType === 'EMAIL_CONFLICT').length,
             permissionIssues: issues.filter(r => r.issueType === 'PERMISSION_DENIED').length,
             truncated: issues.length > maxIssues,
-            truncatedCount: issues.length - maxIssues,
+            truncatedCount: Math.max(0, issues.length - maxIssues),
             detailedIssues: [
                 ...limitedIssues.map(issue => ({
-                    name: this.sanitizeString(issue.participant.nama),
-                    email: this.sanitizeString(issue.participant.email),
+                    name: issue.participant.nama,
+                    email: issue.participant.email,
                     issueType: issue.issueType || 'UNKNOWN',
-                    details: this.sanitizeString((issue.details || issue.error || '').substring(0, 100)), // Reduce detail length
+                    details: issue.details || issue.error || '',
+                    suggestion: issue.suggestion || null,
+                    hint: issue.hint || null,
                     status: issue.status || 'FAILED',
                     timestamp: issue.timestamp || new Date().toISOString()
                 })),
                 // Add some successful shares for context
                 ...successfulResults.slice(0, 5).map(success => ({ // Reduce successful examples
-                    name: this.sanitizeString(success.participant.nama),
-                    email: this.sanitizeString(success.participant.email),
-                    issueType: 'SUCCESS',
-                    details: 'Folder shared successfully',
+                    name: success.participant.nama,
+                    email: success.participant.email,
+                    issueType: success.outcome === 'ALREADY_SHARED' ? 'ALREADY_SHARED' : 'SUCCESS',
+                    details: success.outcome === 'ALREADY_SHARED' ? 'Participant already had access' : 'Folder shared successfully',
                     status: 'COMPLETED',
                     timestamp: success.timestamp || new Date().toISOString()
                 }))
             ]
         };
         
-        console.log(`RESULTS_UPDATE: ${JSON.stringify(issueSummary)}`);
-    }
-
-    /**
-     * Sanitize string to prevent JSON parsing errors
-     */
-    sanitizeString(str) {
-        if (!str) return '';
-        try {
-            // First try to stringify to catch any issues
-            return str.toString()
-                .replace(/[\x00-\x1F\x7F]/g, '') // Remove control characters
-                .replace(/[\u2028\u2029]/g, '') // Remove line/paragraph separators
-                .replace(/\\/g, '\\\\') // Escape backslashes
-                .replace(/"/g, '\\"') // Escape quotes
-                .replace(/\n/g, '\\n') // Escape newlines
-                .replace(/\r/g, '\\r') // Escape carriage returns
-                .replace(/\t/g, '\\t') // Escape tabs
-                .replace(/[\u0000-\u001F\u200B-\u200D\uFEFF]/g, '') // Remove more invisible chars
-                .trim(); // Remove leading/trailing whitespace
-        } catch (e) {
-            // If anything fails, return a safe string
-            return '[INVALID_STRING]';
-        }
+        this.events.emit(SHARE_EVENT_TYPES.RESULTS, issueSummary);
     }
 
     /**
@@ -468,6 +752,7 @@ class BatchShareMonitor {
      */
     cleanupHistory() {
         try {
+            this.journal.remove();
             if (fs.existsSync(this.historyFile)) {
                 fs.unlinkSync(this.historyFile);
                 console.log('🧹 Processing history cleaned up');
@@ -477,42 +762,187 @@ class BatchShareMonitor {
         }
     }
 
-    findFolderIdForParticipant(participantNama) {
-        const namaLower = participantNama.toLowerCase().trim();
-
-        if (this.scanResults[namaLower]) {
-            return this.scanResults[namaLower];
+    /**
+     * Match a participant to a folder. Sources are tried in order:
+     * 1. SHEET: the FolderId column of the sheet
+     * 2. OVERRIDE: a decision saved from the dashboard review queue
+     * 3. NAME_MATCH: fuzzy name matching (see folder_matcher.js)
+     * An explicit FolderId that is not in the scan results is reported, never skipped.
+     */
+    matchFolderForParticipant(participant) {
+        const sheetFolderId = extractDriveFolderId(participant.folderId);
+        if (sheetFolderId) {
+            const folder = this.scanFoldersById.get(sheetFolderId);
+            if (!folder) {
+                return {
+                    match: null,
+                    confidence: 0,
+                    candidates: [],
+                    autoShare: false,
+                    reason: 'FOLDER_ID_NOT_FOUND',
+                    source: 'SHEET',
+                    folderId: sheetFolderId
+                };
+            }
+            const match = { id: folder.id, name: folder.name, path: folder.path, score: 1 };
+            return { match, confidence: 1, candidates: [match], autoShare: true, reason: 'SHEET', source: 'SHEET' };
         }
 
-        const namaClean = namaLower.replace(/\s+/g, ' ');
-        if (this.scanResults[namaClean]) {
-            return this.scanResults[namaClean];
+        const override = findMatchOverride(this.matchOverrides, participant);
+        if (override && override.decision === 'FOLDER') {
+            const folder = {
+                id: override.folderId,
+                name: override.folderName,
+                path: override.folderPath,
+                score: 1
+            };
+            return { match: folder, confidence: 1, candidates: [folder], autoShare: true, reason: 'OVERRIDE', source: 'OVERRIDE' };
         }
 
-        for (const [folderName, folderId] of Object.entries(this.scanResults)) {
-            const folderNameClean = folderName.toLowerCase().trim();
-            if (folderNameClean.includes(namaClean) || namaClean.includes(folderNameClean)) {
-                console.log(`🔍 Partial match found: "${participantNama}" matches folder "${folderName}"`);
-                return folderId;
-            }
+        return { ...this.folderMatcher.match(participant.nama), source: 'NAME_MATCH' };
+    }
+
+    /**
+     * Find the folder ID for a participant. Returns null unless the match is
+     * confident and unambiguous enough to share automatically.
+     */
+    findFolderIdForParticipant(participant) {
+        const result = this.matchFolderForParticipant(participant);
+        return result.autoShare ? result.match.id : null;
+    }
+
+    /**
+     * Whether an operator marked this participant as not needing a folder
+     */
+    isNoFolderExpected(participant) {
+        // An explicit FolderId in the sheet takes precedence over review decisions
+        if (extractDriveFolderId(participant.folderId)) {
+            return false;
         }
+        const override = findMatchOverride(this.matchOverrides, participant);
+        return !!override && override.decision === 'NO_FOLDER';
+    }
 
-        return null;
+    /**
+     * Turn failed email checks (see email_validation.js) into an issue type, message and sheet log label
+     * @param {Array<Object>} emailChecks - Invalid results of validateEmail, one per address
+     */
+    describeEmailIssue(emailChecks) {
+        const suggestions = emailChecks.map(check => check.suggestion).filter(Boolean);
+        const messages = emailChecks
+            .map(check => `${check.message}.${check.suggestion ? ` Did you mean ${check.suggestion}?` : ''}`)
+            .join(' ');
+        return {
+            issueType: 'EMAIL_INVALID',
+            error: emailChecks.length > 1 ? 'Invalid email addresses' : 'Invalid email address',
+            logLabel: suggestions.length > 0 ? `Invalid email, did you mean ${suggestions.join(', ')}` : 'Invalid email',
+            details: `${messages} Fix the email in the sheet and run cache again.`
+        };
+    }
+
+    /**
+     * Every address a participant's folder is shared with: the email, then extraEmails
+     */
+    participantEmails(participant) {
+        return [participant.email, ...(participant.extraEmails || [])];
+    }
+
+    /**
+     * " (1/2 recipients)" for LastLog when some addresses of a participant did not get access
+     */
+    recipientCountNote(result) {
+        const recipients = result.recipients || [];
+        const shared = recipients.filter(recipient => recipient.success).length;
+        return shared < recipients.length ? ` (${shared}/${recipients.length} recipients)` : '';
+    }
+
+    /**
+     * Outcome per address, e.g. "ortu@gmail.com SHARED; anak@gmial.com EMAIL_INVALID"
+     */
+    describeRecipients(result) {
+        return (result.recipients || [])
+            .map(recipient => `${recipient.email} ${recipient.success ? recipient.outcome : recipient.issueType || 'UNKNOWN'}`)
+            .join('; ');
+    }
+
+    /**
+     * Ledger entries for the permissions a share result created, one per recipient
+     */
+    ledgerSharesFor(result) {
+        return (result.recipients || [result])
+            .filter(recipient => recipient.success && recipient.outcome === 'SHARED')
+            .map(recipient => ({
+                runId: this.runId,
+                participant: result.participant,
+                email: recipient.email,
+                folderId: result.folderId,
+                permissionId: recipient.permissionId,
+                role: this.shareOptions ? this.shareOptions.role : null,
+                sharedAt: result.timestamp
+            }));
+    }
+
+    /**
+     * Describe a name submitted with several emails (see participant_dedupe.js)
+     */
+    describeDuplicateConflict(participant) {
+        const submissions = participant.duplicateConflict.rows
+            .map(submission => `row ${submission.row}: ${submission.email}`)
+            .join('; ');
+        return {
+            issueType: 'EMAIL_CONFLICT',
+            error: 'Duplicate submissions with different emails',
+            logLabel: `Conflicting emails in rows ${participant.duplicateConflict.rows.map(submission => submission.row).join(', ')}`,
+            details: `"${participant.nama}" submitted the form with ${participant.duplicateConflict.emails.length} different emails (${submissions}). Delete the wrong rows, or set DUPLICATE_POLICY to latest or first, and run cache again.`
+        };
+    }
+
+    /**
+     * Turn a failed folder match into an issue type, message and sheet log label
+     */
+    describeMatchIssue(participant, matchResult) {
+        const formatCandidates = () => matchResult.candidates
+            .map(c => `${c.path} (${c.id}, ${c.score})`)
+            .join('; ');
+
+        switch (matchResult.reason) {
+            case 'DUPLICATE':
+                return {
+                    issueType: 'DUPLICATE_FOLDER',
+                    error: 'Multiple folders match participant name',
+                    logLabel: 'Duplicate folders found',
+                    details: `${matchResult.candidates.length} folders named "${participant.nama}": ${formatCandidates()}`
+                };
+            case 'FOLDER_ID_NOT_FOUND':
+                return {
+                    issueType: 'FOLDER_ID_NOT_FOUND',
+                    error: 'Sheet FolderId not found in scan results',
+                    logLabel: 'FolderId not in scan results',
+                    details: `FolderId "${matchResult.folderId}" from the sheet is not in scan_results.json. Fix the FolderId cell or rescan the parent folder.`
+                };
+            case 'AMBIGUOUS':
+            case 'LOW_CONFIDENCE':
+                return {
+                    issueType: 'LOW_CONFIDENCE',
+                    error: 'No confident folder match',
+                    logLabel: 'Low confidence folder match',
+                    details: `Best match for "${participant.nama}" scored ${matchResult.confidence} (needs ${this.folderMatcher.threshold}${matchResult.reason === 'AMBIGUOUS' ? ' and a clear winner' : ''}): ${formatCandidates()}`
+                };
+            default:
+                return {
+                    issueType: 'NO_FOLDER',
+                    error: 'Folder ID not found',
+                    logLabel: 'No folder found',
+                    details: `No matching folder found for name: "${participant.nama}". Check if folder name matches participant name exactly.`
+                };
+        }
     }
 
     async shareFolder(folderId, email, participantName) {
         try {
-            const permission = {
-                type: 'user',
-                role: 'reader',
-                emailAddress: email
-            };
-
-            const response = await this.drive.permissions.create({
-                fileId: folderId,
-                resource: permission,
-                sendNotificationEmail: false
-            });
+            const response = await this.drive.permissions.create(
+                buildPermissionRequest(this.shareOptions, { folderId, email, nama: participantName })
+            );
 
             return {
                 success: true,
@@ -569,21 +999,14 @@ class BatchShareMonitor {
         console.log(`STATUS: ${this.progressStats.successful} successful, ${this.progressStats.failed} failed, ${this.progressStats.errors} errors`);
         console.log(`WORKERS: ${this.progressStats.activeWorkers}/${this.workerCount} active, ${queueLength} in queue`);
         console.log(`SPEED: ${throughput} per second, ETA: ${eta > 0 ? `${eta}s` : 'calculating...'}`);
+        if (this.rateLimiter) {
+            const limit = this.rateLimiter.snapshot();
+            console.log(`RATE: ${limit.rate}/s of ${limit.maxRate}/s, ${limit.waiting} calls waiting, ${limit.rateLimitErrors} rate-limit errors`);
+        }
         console.log(`TIME: Elapsed ${elapsed}s`);
         
         // Emit speed update for web interface
-        console.log(`SPEED_UPDATE: ${JSON.stringify({
-            speed: parseFloat(throughput),
-            unit: 'second',
-            processed: this.progressStats.processed,
-            total: this.progressStats.total,
-            successful: this.progressStats.successful,
-            failed: this.progressStats.failed,
-            activeWorkers: this.progressStats.activeWorkers,
-            workerCount: this.workerCount,
-            eta: eta > 0 ? eta : null,
-            timestamp: new Date().toISOString()
-        })}`);
+        this.emitSpeedUpdate();
 
         // Worker status in web-friendly format
         console.log('\n👥 WORKER STATUS:');
@@ -628,32 +1051,149 @@ class BatchShareMonitor {
         }
     }
 
-    async initializeWorkers() {
-        console.log(`🚀 Initializing ${this.workerCount} workers...`);
+    /**
+     * Start worker thread `i`
+     */
+    startWorker(i) {
+        const worker = new Worker(path.join(__dirname, 'share-worker.js'), {
+            workerData: {
+                workerId: i,
+                shareOptions: this.shareOptions,
+                retryPolicy: this.retryPolicy,
+                apiDelay: this.apiDelay
+            }
+        });
 
-        for (let i = 0; i < this.workerCount; i++) {
-            const worker = new Worker(path.join(__dirname, 'share-worker.js'), {
-                workerData: { workerId: i }
-            });
+        worker.on('message', (message) => {
+            this.handleWorkerMessage(message);
+        });
 
-            worker.on('message', (message) => {
-                this.handleWorkerMessage(message);
-            });
+        worker.on('error', (error) => {
+            console.error(`❌ Worker ${i} error:`, error);
+            this.workerStats[i].status = 'error';
+            this.workerStats[i].errors++;
+        });
 
-            worker.on('error', (error) => {
-                console.error(`❌ Worker ${i} error:`, error);
-                this.workerStats[i].status = 'error';
-                this.workerStats[i].errors++;
-            });
+        worker.on('exit', (code) => {
+            if (code !== 0) {
+                console.error(`❌ Worker ${i} exited with code ${code}`);
+            }
+        });
+
+        this.workers[i] = worker;
+        worker.postMessage({ type: 'init' });
+        return worker;
+    }
+
+    /**
+     * Cancel the run: drop the queued tasks and let the in-flight ones finish.
+     * Processed participants stay in the history file so the next run resumes after them.
+     */
+    cancel() {
+        if (this.cancelled) return;
+        this.cancelled = true;
+        this.paused = false;
+        const dropped = this.taskQueue.length;
+        this.taskQueue.length = 0;
+        console.log(`🛑 Cancelling run: ${dropped} queued tasks dropped, waiting for ${this.progressStats.activeWorkers} in-flight tasks`);
+    }
+
+    /**
+     * Stop handing out queued tasks. In-flight tasks finish and the history is
+     * saved once they have, so the run can also be resumed after a restart.
+     * @returns {boolean} False when already paused or cancelled
+     */
+    pause() {
+        if (this.paused || this.cancelled) return false;
+        this.paused = true;
+        console.log(`⏸️ Paused: ${this.taskQueue.length} tasks stay queued, waiting for ${this.progressStats.activeWorkers} in-flight tasks`);
+        if (this.progressStats.activeWorkers === 0) {
+            this.saveProcessingHistory();
+        }
+        this.emitSpeedUpdate();
+        return true;
+    }
+
+    /**
+     * Hand queued tasks to the idle workers again
+     * @returns {boolean} False when not paused
+     */
+    resume() {
+        if (!this.paused) return false;
+        this.paused = false;
+        console.log(`▶️ Resumed: ${this.taskQueue.length} tasks queued`);
+        this.workers.forEach((worker, i) => {
+            if (worker && this.workerStats[i].status === 'idle') {
+                this.assignNextTask(i);
+            }
+        });
+        this.emitSpeedUpdate();
+        return true;
+    }
+
+    /**
+     * Stop worker thread `i` once it has no task
+     */
+    stopWorker(i) {
+        const worker = this.workers[i];
+        if (!worker) return;
+
+        worker.postMessage({ type: 'terminate' });
+        this.workers[i] = null;
+        this.workerStats[i].status = 'stopped';
+        this.workerStats[i].retiring = false;
+        console.log(`WORKER_STATUS: Worker ${i} is now stopped`);
+        this.emitWorkerStatus(i, 'stopped');
+    }
+
+    /**
+     * Resize the worker pool during a run. New workers pick up queued tasks right
+     * away; removed workers finish their current task first.
+     * @param {number|string} count - New worker count
+     */
+    setWorkerCount(count) {
+        const error = validateBatchValue('WORKER_COUNT', count);
+        if (error) {
+            console.error(`❌ ${error}`);
+            return false;
+        }
 
-            worker.on('exit', (code) => {
-                if (code !== 0) {
-                    console.error(`❌ Worker ${i} exited with code ${code}`);
+        const target = parseInt(count, 10);
+        const previous = this.workerCount;
+        this.workerCount = target;
+
+        for (let i = 0; i < Math.max(target, this.workerStats.length); i++) {
+            if (!this.workerStats[i]) {
+                this.workerStats[i] = createWorkerStats(i);
+            }
+            const stats = this.workerStats[i];
+
+            if (i < target) {
+                stats.retiring = false;
+                if (!this.workers[i]) {
+                    this.startWorker(i);
+                    stats.status = 'idle';
+                    this.assignNextTask(i);
                 }
-            });
+            } else if (this.workers[i]) {
+                if (stats.status === 'working') {
+                    stats.retiring = true;
+                } else {
+                    this.stopWorker(i);
+                }
+            }
+        }
+
+        console.log(`👥 Worker count changed from ${previous} to ${target}`);
+        this.emitSpeedUpdate();
+        return true;
+    }
 
-            this.workers[i] = worker;
-            worker.postMessage({ type: 'init' });
+    async initializeWorkers() {
+        console.log(`🚀 Initializing ${this.workerCount} workers...`);
+
+        for (let i = 0; i < this.workerCount; i++) {
+            this.startWorker(i);
         }
 
         // Wait for all workers to initialize
@@ -680,6 +1220,27 @@ class BatchShareMonitor {
                 worker.status = 'idle';
                 console.log(`🔧 Worker ${workerId} initialized and ready`);
                 console.log(`WORKER_STATUS: Worker ${workerId} is now idle`);
+                this.emitWorkerStatus(workerId, 'idle');
+                break;
+
+            case 'token': {
+                // The worker can be terminated or replaced (pool resize) while it waits
+                const requester = this.workers[workerId];
+                this.rateLimiter.acquire().then(() => {
+                    if (requester && this.workers[workerId] === requester) {
+                        requester.postMessage({ type: 'token', requestId: message.requestId });
+                    }
+                }).catch(error => {
+                    console.error(`❌ Error granting a rate limit token to worker ${workerId}:`, error.message);
+                });
+                break;
+            }
+
+            case 'retry':
+                if (message.rateLimited) {
+                    this.rateLimiter.reportRateLimit();
+                }
+                console.log(`🔁 Worker ${workerId}: ${message.call} for ${message.email} failed (${message.errorCode}${message.reason ? ` ${message.reason}` : ''}), attempt ${message.attempt}, retrying in ${message.delayMs}ms`);
                 break;
 
             case 'success':
@@ -687,28 +1248,64 @@ class BatchShareMonitor {
                 worker.tasksCompleted++;
                 worker.currentParticipant = null;
 
-                // Add timestamp to result
+                // Add timestamp and folder source to result
                 result.timestamp = new Date().toISOString();
-                this.shareResults.push(result);
-                this.progressStats.processed++;
-                this.progressStats.successful++;
-                this.progressStats.activeWorkers--;
-                
-                // Validate stats to prevent corruption
-                this.validateProgressStats();
+                result.folderSource = result.match ? result.match.source : null;
+                const alreadyShared = result.outcome === 'ALREADY_SHARED';
 
-                // Web-friendly progress output
-                const percentage = this.progressStats.total > 0 ? 
+                // Record the folder that was shared so future runs use it directly
+                const folderIdValue = this.folderIdCellValue(result.folderId);
+
+                const sharedLog = (alreadyShared ?
+                    `Already shared: ${result.timestamp}` : result.timestamp) + this.recipientCountNote(result);
+
+                const sheetValues = { isShared: 'TRUE', lastLog: sharedLog };
+                // Duplicate rows may hold another FolderId, so they are always written
+                const hasDuplicateRows = (result.participant.duplicateRows || []).length > 0;
+                if (this.sheetColumns.folderId && (result.participant.folderId !== folderIdValue || hasDuplicateRows)) {
+                    sheetValues.folderId = folderIdValue;
+                }
+                const sheetUpdates = this.participantSheetUpdates(result.participant, sheetValues);
+
+                this.recordOutcome({
+                    runId: this.runId,
+                    result,
+                    sheetUpdates,
+                    cacheUpdate: { isShared: true, lastLog: sharedLog, folderId: folderIdValue },
+                    // Permissions found in place may have been granted by hand, so only
+                    // permissions this run created go into the ledger
+                    ledgerShares: this.ledgerSharesFor(result)
+                });
+                this.progressStats.activeWorkers--;
+
+                // Web-friendly progress output
+                const percentage = this.progressStats.total > 0 ? 
                     ((this.progressStats.processed / this.progressStats.total) * 100).toFixed(1) : 0;
-                console.log(`SUCCESS: Shared folder with ${result.participant.nama} (${result.participant.email})`);
+                if (alreadyShared) {
+                    console.log(`ALREADY_SHARED: ${result.participant.nama} (${result.participant.email}) already has ${result.existingRole} access, marking as shared`);
+                } else {
+                    console.log(`SUCCESS: Shared folder with ${result.participant.nama} (${result.participant.email})`);
+                }
+                if ((result.recipients || []).length > 1) {
+                    console.log(`📧 Recipients of ${result.participant.nama}: ${this.describeRecipients(result)}`);
+                }
+                if (result.match && result.match.reason === 'FUZZY') {
+                    console.log(`🔍 Matched "${result.participant.nama}" to folder "${result.match.folderName}" (confidence ${result.match.confidence})`);
+                } else if (result.match && result.match.reason === 'OVERRIDE') {
+                    console.log(`📝 Used reviewed folder "${result.match.folderName}" for "${result.participant.nama}"`);
+                }
                 console.log(`PROGRESS: Processed ${this.progressStats.processed}/${this.progressStats.total} (${percentage}%) - Success: ${this.progressStats.successful}, Failed: ${this.progressStats.failed}`);
                 console.log(`WORKER_STATUS: Worker ${workerId} completed task and is now idle`);
+                this.emitWorkerStatus(workerId, 'idle');
 
-                // Mark participant as processed
+                // Save a snapshot every batchSize completions
                 this.markParticipantProcessed(result.participant);
+                this.flushSheetUpdatesIfFull();
 
-                // Update local cache immediately
-                this.updateLocalCache(result.participant, true, new Date().toISOString());
+                // Emit real-time update for dashboard
+                if (this.localCache) {
+                    this.emitDashboardUpdate(this.localCache);
+                }
 
                 // Emit results update
                 this.emitResultsUpdate();
@@ -716,16 +1313,6 @@ class BatchShareMonitor {
                 // Emit speed update
                 this.emitSpeedUpdate();
 
-                // Add to batch updates
-                this.batchUpdates.push({
-                    range: `Form Response 1!I${result.participant.row}`,
-                    values: [['TRUE']]
-                });
-                this.batchUpdates.push({
-                    range: `Form Response 1!J${result.participant.row}`,
-                    values: [[new Date().toISOString()]]
-                });
-
                 this.assignNextTask(workerId);
                 break;
 
@@ -741,43 +1328,56 @@ class BatchShareMonitor {
                     folderId: result.folderId,
                     error: result.error,
                     errorCode: result.errorCode,
+                    issueType: result.issueType || 'UNKNOWN',
+                    retryable: !!result.retryable,
+                    attempts: result.attempts ? result.attempts.length : 1,
                     workerId
                 };
 
-                this.errorLog.push(errorInfo);
-                // Add timestamp to result
+                if (result.attempts && result.attempts.length > 0 && result.attempts[result.attempts.length - 1].rateLimited) {
+                    this.rateLimiter.reportRateLimit();
+                }
+                // Add timestamp and folder source to result
                 result.timestamp = new Date().toISOString();
-                this.shareResults.push(result);
-                this.progressStats.processed++;
-                this.progressStats.failed++;
+                result.folderSource = result.match ? result.match.source : null;
+                if ((result.recipients || []).length > 1) {
+                    result.details = `${result.error} (${result.email}). Recipients: ${this.describeRecipients(result)}`;
+                }
+
+                this.recordOutcome({
+                    runId: this.runId,
+                    result,
+                    errorInfo,
+                    sheetUpdates: this.participantSheetUpdates(result.participant, {
+                        isShared: 'FALSE',
+                        lastLog: `Failed (${result.issueType || 'UNKNOWN'}): ${result.timestamp}${this.recipientCountNote(result)}`
+                    }),
+                    // With several recipients some may have been shared before another failed
+                    ledgerShares: this.ledgerSharesFor(result)
+                });
                 this.progressStats.activeWorkers--;
-                
-                // Validate stats to prevent corruption
-                this.validateProgressStats();
 
                 // Web-friendly error output
                 const errorPercentage = this.progressStats.total > 0 ? 
                     ((this.progressStats.processed / this.progressStats.total) * 100).toFixed(1) : 0;
-                console.log(`ERROR: Failed to share folder with ${result.participant.nama} - ${result.error}`);
+                console.log(`ERROR: Failed to share folder with ${result.participant.nama} - ${result.issueType || 'UNKNOWN'}: ${result.error}`);
+                if ((result.recipients || []).length > 1) {
+                    console.log(`📧 Recipients of ${result.participant.nama}: ${this.describeRecipients(result)}`);
+                }
                 console.log(`PROGRESS: Processed ${this.progressStats.processed}/${this.progressStats.total} (${errorPercentage}%) - Success: ${this.progressStats.successful}, Failed: ${this.progressStats.failed}`);
                 console.log(`WORKER_STATUS: Worker ${workerId} encountered error and is now idle`);
+                this.emitWorkerStatus(workerId, 'idle');
 
-                // Mark participant as processed (even if failed)
+                // Save a snapshot every batchSize completions (failed participants count as processed)
                 this.markParticipantProcessed(result.participant);
+                this.flushSheetUpdatesIfFull();
+
+                // Emit results update
+                this.emitResultsUpdate();
                 
                 // Emit speed update
                 this.emitSpeedUpdate();
 
-                // Add to batch updates
-                this.batchUpdates.push({
-                    range: `Form Response 1!I${result.participant.row}`,
-                    values: [['FALSE']]
-                });
-                this.batchUpdates.push({
-                    range: `Form Response 1!J${result.participant.row}`,
-                    values: [[`Failed: ${new Date().toISOString()}`]]
-                });
-
                 this.assignNextTask(workerId);
                 break;
         }
@@ -786,6 +1386,19 @@ class BatchShareMonitor {
     }
 
     assignNextTask(workerId) {
+        if (this.workerStats[workerId].retiring) {
+            this.stopWorker(workerId);
+            return;
+        }
+
+        if (this.paused) {
+            if (this.progressStats.activeWorkers === 0) {
+                this.saveProcessingHistory();
+                console.log('⏸️ In-flight tasks finished; progress saved while paused');
+            }
+            return;
+        }
+
         if (this.taskQueue.length === 0) {
             return;
         }
@@ -798,6 +1411,7 @@ class BatchShareMonitor {
         this.progressStats.activeWorkers++;
 
         console.log(`WORKER_STATUS: Worker ${workerId} is now working on ${task.participant.nama}`);
+        this.emitWorkerStatus(workerId, 'working', task.participant.nama);
         console.log(`PROGRESS_UPDATE: Processed ${this.progressStats.processed} / ${this.progressStats.total} (${this.progressStats.activeWorkers} workers active)`);
         
         // Emit speed update
@@ -816,14 +1430,33 @@ class BatchShareMonitor {
                 return false;
             }
             if (this.isParticipantProcessed(p)) return false; // Skip already processed in this session
+            if (this.isNoFolderExpected(p)) {
+                console.log(`⏭️ Skipping ${p.nama} - marked as no folder expected`);
+                return false;
+            }
             // Include ALL unshared participants regardless of folder existence
             return true;
         });
 
-        this.progressStats.total = participantsToProcess.length;
+        // Participants finished before a resume stay in processed, so they count toward the total
+        this.progressStats.total = this.progressStats.processed + participantsToProcess.length;
 
         console.log(`📂 Found ${participantsToProcess.length} participants to process with ${this.workerCount} workers`);
-        console.log(`📊 Breakdown: ${participantsToProcess.filter(p => this.findFolderIdForParticipant(p.nama) !== null).length} with folders, ${participantsToProcess.filter(p => this.findFolderIdForParticipant(p.nama) === null).length} without folders`);
+        const withFolders = participantsToProcess.filter(p => this.findFolderIdForParticipant(p) !== null).length;
+        console.log(`📊 Breakdown: ${withFolders} with folders, ${participantsToProcess.length - withFolders} without a unique folder`);
+        const conflicts = participantsToProcess.filter(p => p.duplicateConflict).length;
+        if (conflicts > 0) {
+            console.log(`🔁 ${conflicts} participants submitted the form with different emails and will be reported instead of shared`);
+        }
+        const anyRecipient = !!this.shareOptions && this.shareOptions.recipientRule === 'any';
+        const invalidEmails = participantsToProcess.filter(p =>
+            !p.duplicateConflict && this.participantEmails(p).some(email => !validateEmail(email).valid)
+        ).length;
+        if (invalidEmails > 0) {
+            console.log(anyRecipient ?
+                `📧 ${invalidEmails} participants have an invalid email; it is skipped, and participants without a valid one are reported` :
+                `📧 ${invalidEmails} participants have an invalid email and will be reported instead of shared`);
+        }
         
         const alreadySharedCount = this.cachedParticipants.filter(p => p.isShared).length;
         console.log(`📋 ${alreadySharedCount} participants already shared (skipped)`);
@@ -839,49 +1472,58 @@ class BatchShareMonitor {
 
         // Build task queue
         for (const participant of participantsToProcess) {
-            const folderId = this.findFolderIdForParticipant(participant.nama);
-
-            if (!folderId) {
-                // Handle participants without folders - record as issue but don't update cache
-                const errorResult = {
-                    success: false,
-                    error: 'Folder ID not found',
-                    participant,
-                    folderId: null,
-                    issueType: 'NO_FOLDER',
-                    details: `No matching folder found for name: "${participant.nama}". Check if folder name matches participant name exactly.`,
-                    status: 'PENDING'
-                };
-
-                // Add timestamp to error result
-                errorResult.timestamp = new Date().toISOString();
-                this.shareResults.push(errorResult);
-                this.progressStats.processed++;
-                this.progressStats.errors++;
-                
-                // Validate stats to prevent corruption
-                this.validateProgressStats();
-
-                // Don't update cache for folder issues - they remain as pending
-                // But add to batch updates with note
-                this.batchUpdates.push({
-                    range: `Form Response 1!I${participant.row}`,
-                    values: [['FALSE']] // Keep as unshared
+            // Submissions under one name with different emails (DUPLICATE_POLICY=flag)
+            // need the operator to pick the right address
+            if (participant.duplicateConflict) {
+                this.recordParticipantIssue(participant, this.describeDuplicateConflict(participant), {
+                    conflictEmails: participant.duplicateConflict.emails
                 });
-                this.batchUpdates.push({
-                    range: `Form Response 1!J${participant.row}`,
-                    values: [[`Issue: No folder found - ${new Date().toISOString()}`]]
+                continue;
+            }
+
+            // Malformed addresses and domain typos are reported without any API call.
+            // With recipientRule "any" they are skipped while another address is valid.
+            const emailChecks = this.participantEmails(participant).map(email => validateEmail(email));
+            const invalidChecks = emailChecks.filter(check => !check.valid);
+            const validChecks = emailChecks.filter(check => check.valid);
+            if (validChecks.length === 0 || (invalidChecks.length > 0 && !anyRecipient)) {
+                this.recordParticipantIssue(participant, this.describeEmailIssue(invalidChecks), {
+                    suggestion: invalidChecks.map(check => check.suggestion).find(Boolean) || null
                 });
+                continue;
+            }
 
-                // Emit results update
-                this.emitResultsUpdate();
+            const matchResult = this.matchFolderForParticipant(participant);
+            const folderId = matchResult.autoShare ? matchResult.match.id : null;
+
+            if (!folderId) {
+                this.recordParticipantIssue(participant, this.describeMatchIssue(participant, matchResult), {
+                    folderSource: matchResult.source,
+                    confidence: matchResult.confidence,
+                    candidates: matchResult.candidates
+                });
                 continue;
             }
 
             this.taskQueue.push({
                 folderId,
-                email: participant.email,
-                participant
+                email: validChecks[0].email,
+                recipients: validChecks.map(check => check.email),
+                skippedRecipients: invalidChecks.map(check => ({
+                    email: check.email,
+                    success: false,
+                    error: check.message,
+                    issueType: 'EMAIL_INVALID',
+                    retryable: false,
+                    suggestion: check.suggestion
+                })),
+                participant,
+                match: {
+                    source: matchResult.source,
+                    reason: matchResult.reason,
+                    confidence: matchResult.confidence,
+                    folderName: matchResult.match.name
+                }
             });
         }
 
@@ -889,6 +1531,7 @@ class BatchShareMonitor {
 
         // Start workers
         await this.initializeWorkers();
+        this.startSheetFlushTimer();
 
         // Assign initial tasks
         for (let i = 0; i < Math.min(this.workerCount, this.taskQueue.length); i++) {
@@ -913,9 +1556,56 @@ class BatchShareMonitor {
         });
     }
 
+    /**
+     * Record a participant that needs a fix before sharing (duplicate, email or folder issue).
+     * The issue goes into the results and LastLog; the cache is not updated, so the
+     * participant stays pending and is checked again on the next run.
+     * @param {Object} participant - Cached participant
+     * @param {Object} issue - From describeDuplicateConflict, describeEmailIssue or describeMatchIssue
+     * @param {Object} fields - Extra result fields, e.g. the suggested email or folder candidates
+     */
+    recordParticipantIssue(participant, issue, fields = {}) {
+        const errorResult = {
+            success: false,
+            error: issue.error,
+            participant,
+            folderId: null,
+            issueType: issue.issueType,
+            details: issue.details,
+            ...fields,
+            status: 'PENDING'
+        };
+
+        // Add timestamp to error result
+        errorResult.timestamp = new Date().toISOString();
+        this.shareResults.push(errorResult);
+        this.progressStats.processed++;
+        this.progressStats.errors++;
+        
+        // Validate stats to prevent corruption
+        this.validateProgressStats();
+
+        // Keep the rows unshared, with the issue in LastLog
+        this.batchUpdates.push(...this.participantSheetUpdates(participant, {
+            isShared: 'FALSE',
+            lastLog: `Issue: ${issue.logLabel} - ${errorResult.timestamp}`
+        }));
+
+        // Counted in processed, so a resumed run must skip it like a finished share;
+        // its result and sheet update are in the same history snapshot
+        this.markParticipantProcessed(participant);
+
+        // Emit results update
+        this.emitResultsUpdate();
+    }
+
     terminateWorkers() {
         console.log('🛑 Terminating all workers...');
-        this.workers.forEach(worker => {
+        this.stopSheetFlushTimer();
+        if (this.rateLimiter) {
+            this.rateLimiter.stop();
+        }
+        this.workers.filter(Boolean).forEach(worker => {
             worker.postMessage({ type: 'terminate' });
             worker.terminate();
         });
@@ -925,6 +1615,11 @@ class BatchShareMonitor {
         console.log('🚀 Starting multi-worker folder sharing process...');
         console.log(`INIT: Processing ${this.progressStats.total} participants with ${this.workerCount} workers`);
         console.log(`PROGRESS_START: Total=${this.progressStats.total}, Workers=${this.workerCount}`);
+        this.events.emit(SHARE_EVENT_TYPES.RUN_STARTED, {
+            runId: this.runId,
+            total: this.progressStats.total,
+            workerCount: this.workerCount
+        });
         
         await this.processWithWorkers();
         this.displayMonitoringTable();
@@ -934,6 +1629,252 @@ class BatchShareMonitor {
         
         console.log(`\n✅ Completed multi-worker processing`);
         console.log(`FINAL_STATS: Processed=${this.progressStats.processed}, Successful=${this.progressStats.successful}, Failed=${this.progressStats.failed}, Time=${totalTime}s, Speed=${finalSpeed}/s`);
+
+        const alreadyShared = this.shareResults.filter(r => r.outcome === 'ALREADY_SHARED').length;
+        this.events.emit(SHARE_EVENT_TYPES.RUN_FINISHED, {
+            processed: this.progressStats.processed,
+            successful: this.progressStats.successful,
+            failed: this.progressStats.failed,
+            alreadyShared,
+            time: totalTime,
+            speed: parseFloat(finalSpeed)
+        });
+        if (alreadyShared > 0) {
+            console.log(`♻️ ${alreadyShared} of the successful participants already had access and were only marked as shared`);
+        }
+    }
+
+    /**
+     * Count results per folder source (SHEET, OVERRIDE, NAME_MATCH)
+     */
+    countFolderSources() {
+        const counts = {};
+        this.shareResults.forEach(result => {
+            if (result.folderSource) {
+                counts[result.folderSource] = (counts[result.folderSource] || 0) + 1;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Count share outcomes per address. `partial` counts participants where some
+     * addresses got access and others did not.
+     */
+    countRecipients() {
+        const counts = { total: 0, shared: 0, alreadyShared: 0, failed: 0, partial: 0 };
+        this.shareResults.forEach(result => {
+            const recipients = result.recipients || [];
+            recipients.forEach(recipient => {
+                counts.total++;
+                if (!recipient.success) {
+                    counts.failed++;
+                } else if (recipient.outcome === 'ALREADY_SHARED') {
+                    counts.alreadyShared++;
+                } else {
+                    counts.shared++;
+                }
+            });
+            const succeeded = recipients.filter(recipient => recipient.success).length;
+            if (succeeded > 0 && succeeded < recipients.length) {
+                counts.partial++;
+            }
+        });
+        return counts;
+    }
+
+    /**
+     * Load the record of created permissions (share_ledger.json)
+     */
+    loadShareLedger() {
+        try {
+            this.shareLedger = loadShareLedger(path.join(__dirname, 'share_ledger.json'));
+            console.log(`📒 Share ledger has ${this.shareLedger.shares.length} recorded permissions`);
+            return this.shareLedger;
+        } catch (error) {
+            console.error('❌ Error loading share ledger:', error.message);
+            throw error;
+        }
+    }
+
+    saveShareLedger() {
+        if (!this.shareLedger) return;
+        try {
+            saveShareLedger(this.shareLedger, path.join(__dirname, 'share_ledger.json'));
+        } catch (error) {
+            console.error('❌ Error saving share ledger:', error.message);
+        }
+    }
+
+    /**
+     * Remove the permissions selected from the ledger and reset isShared/LastLog
+     * in the sheet and in cache_peserta.json
+     * @param {Object} selection - From resolveRevokeSelection
+     */
+    async revokeShares(selection) {
+        const targets = selectShares(this.shareLedger, selection);
+        this.progressStats.total = targets.length;
+
+        console.log(`🔒 Revoking ${targets.length} shares (rows: ${selection.rows.map(r => r.join('-')).join(',') || 'any'}, emails: ${selection.emails.length || 'any'}, run: ${selection.runId || 'any'})`);
+        if (targets.length === 0) {
+            console.log('✅ No active shares match the selection');
+            return this.revokeResults;
+        }
+
+        for (const entry of targets) {
+            if (this.cancelled) {
+                console.log('🛑 Revoke cancelled');
+                break;
+            }
+
+            const result = {
+                nama: entry.nama,
+                email: entry.email,
+                row: entry.row,
+                folderId: entry.folderId,
+                permissionId: entry.permissionId,
+                sharedRunId: entry.runId,
+                timestamp: new Date().toISOString(),
+                attempts: []
+            };
+
+            try {
+                await withRetry(async () => {
+                    await this.rateLimiter.acquire();
+                    return this.drive.permissions.delete({
+                        fileId: entry.folderId,
+                        permissionId: entry.permissionId
+                    });
+                }, this.retryPolicy, {
+                    attempts: result.attempts,
+                    label: 'permissions.delete',
+                    onRetry: record => {
+                        if (record.rateLimited) this.rateLimiter.reportRateLimit();
+                        console.log(`🔁 Revoking ${entry.email} failed (${record.errorCode}), attempt ${record.attempt}, retrying in ${record.delayMs}ms`);
+                    }
+                });
+                result.success = true;
+            } catch (error) {
+                // Already removed by hand in Drive: nothing left to revoke
+                if (error.code === 404) {
+                    result.success = true;
+                    result.alreadyRemoved = true;
+                } else {
+                    const { issueType, retryable, hint } = classifyError(error);
+                    result.success = false;
+                    result.error = error.message;
+                    result.errorCode = error.code || 'UNKNOWN';
+                    result.issueType = issueType;
+                    result.retryable = retryable;
+                    result.hint = hint;
+                }
+            }
+
+            this.revokeResults.push(result);
+            this.progressStats.processed++;
+
+            if (result.success) {
+                this.progressStats.successful++;
+                recordRevocation(entry, this.runId);
+
+                // Other addresses of the row still have access: the row stays shared, or the
+                // next share run would give the revoked address access again
+                const remaining = otherActiveShares(this.shareLedger, entry);
+                if (remaining.length > 0) {
+                    result.rowStillShared = true;
+                    const lastLog = `Revoked ${entry.email}: ${result.timestamp} (${remaining.length} recipient${remaining.length === 1 ? ' keeps' : 's keep'} access)`;
+                    this.batchUpdates.push(...this.participantSheetUpdates(entry, { isShared: 'TRUE', lastLog }));
+                } else {
+                    const lastLog = `Revoked: ${result.timestamp}`;
+                    this.batchUpdates.push(...this.participantSheetUpdates(entry, { isShared: 'FALSE', lastLog }));
+                    // Every address revoked from the row in this run goes back into the cache
+                    this.shareLedger.shares
+                        .filter(other => other.row === entry.row && other.revokeRunId === this.runId)
+                        .forEach(revoked => this.resetCachedParticipant(revoked, lastLog));
+                }
+                console.log(`REVOKED: ${entry.nama} (${entry.email}) from folder ${entry.folderId}${result.alreadyRemoved ? ' (already removed in Drive)' : ''}${result.rowStillShared ? ' - other recipients keep access, row stays shared' : ''}`);
+            } else {
+                this.progressStats.failed++;
+                console.log(`ERROR: Failed to revoke ${entry.nama} (${entry.email}) - ${result.issueType}: ${result.error}`);
+            }
+
+            const percentage = ((this.progressStats.processed / this.progressStats.total) * 100).toFixed(1);
+            console.log(`PROGRESS: Processed ${this.progressStats.processed}/${this.progressStats.total} (${percentage}%) - Success: ${this.progressStats.successful}, Failed: ${this.progressStats.failed}`);
+        }
+
+        this.rateLimiter.stop();
+
+        this.saveShareLedger();
+        this.saveLocalCache();
+        return this.revokeResults;
+    }
+
+    /**
+     * Mark a revoked participant as unshared in cache_peserta.json, adding them back
+     * if the cache skipped them as already shared
+     */
+    resetCachedParticipant(entry, lastLog) {
+        try {
+            const cacheData = this.getLocalCache();
+            if (!cacheData) return;
+
+            const participant = cacheData.participants.find(p =>
+                p.row === entry.row && this.participantEmails(p).includes(entry.email)
+            );
+            // Another address of the same participant may have been added back already
+            const readded = participant ? null : cacheData.participants.find(p =>
+                p.row === entry.row && !p.isShared && (p.lastLog || '').startsWith('Revoked:')
+            );
+
+            if (participant) {
+                participant.isShared = false;
+                participant.lastLog = lastLog;
+            } else if (readded) {
+                if (!this.participantEmails(readded).includes(entry.email)) {
+                    readded.extraEmails = [...(readded.extraEmails || []), entry.email];
+                }
+                readded.lastLog = lastLog;
+            } else {
+                cacheData.participants.push({
+                    row: entry.row,
+                    email: entry.email,
+                    nama: entry.nama,
+                    namaLower: (entry.nama || '').toLowerCase(),
+                    folderId: entry.folderId,
+                    isShared: false,
+                    lastLog,
+                    timestamp: '',
+                    duplicateRows: entry.duplicateRows || []
+                });
+                cacheData.participants.sort((a, b) => a.row - b.row);
+                cacheData.totalParticipants = cacheData.participants.length;
+            }
+            this.localCacheDirty = true;
+        } catch (error) {
+            console.error('❌ Error updating local cache:', error.message);
+        }
+    }
+
+    saveRevokeResults(selection) {
+        try {
+            const outputPath = path.join(__dirname, 'monitor_revoke_results.json');
+            const revokeResults = {
+                runId: this.runId,
+                timestamp: new Date().toISOString(),
+                selection,
+                statistics: {
+                    selected: this.progressStats.total,
+                    revoked: this.revokeResults.filter(r => r.success).length,
+                    failed: this.revokeResults.filter(r => !r.success).length
+                },
+                results: this.revokeResults
+            };
+
+            fs.writeFileSync(outputPath, JSON.stringify(revokeResults, null, 2));
+            console.log(`💾 Revoke results saved to: ${outputPath}`);
+        } catch (error) {
+            console.error('❌ Error saving revoke results:', error.message);
+        }
     }
 
     async saveDetailedResults() {
@@ -943,6 +1884,7 @@ class BatchShareMonitor {
             const successfulShares = this.shareResults.filter(r => r.success);
 
             const detailedResults = {
+                runId: this.runId,
                 timestamp: new Date().toISOString(),
                 workerConfig: {
                     workerCount: this.workerCount,
@@ -951,33 +1893,48 @@ class BatchShareMonitor {
                 statistics: {
                     totalProcessed: this.shareResults.length,
                     successfulShares: successfulShares.length,
+                    alreadyShared: successfulShares.filter(r => r.outcome === 'ALREADY_SHARED').length,
                     failedShares: failedShares.length,
+                    retryableFailures: failedShares.filter(r => r.retryable).length,
+                    // Participants with several emails get one entry per address
+                    recipients: this.countRecipients(),
                     errorCount: this.errorLog.length,
+                    retries: this.shareResults.reduce((sum, r) =>
+                        sum + (r.attempts || []).filter(attempt => attempt.delayMs !== null).length, 0),
+                    rateLimit: this.rateLimiter ? this.rateLimiter.snapshot() : null,
                     processingTime: Math.floor((new Date() - this.startTime) / 1000)
                 },
                 errorLog: this.errorLog,
                 failedResults: failedShares,
+                folderSources: this.countFolderSources(),
                 successfulSummary: successfulShares.map(r => ({
                     nama: r.participant.nama,
                     email: r.participant.email,
                     folderId: r.folderId,
+                    folderSource: r.folderSource,
+                    outcome: r.outcome || 'SHARED',
+                    recipients: (r.recipients || []).length > 1 ? r.recipients : undefined,
                     timestamp: new Date().toISOString()
                 }))
             };
 
             fs.writeFileSync(outputPath, JSON.stringify(detailedResults, null, 2));
             console.log(`💾 Detailed results saved to: ${outputPath}`);
+            this.saveShareLedger();
 
-            // Error summary
+            // Error summary by issue type (see error_classifier.js)
             if (this.errorLog.length > 0) {
                 console.log(`\n🔴 Error Summary (${this.errorLog.length} total errors):`);
                 const errorTypes = {};
                 this.errorLog.forEach(error => {
-                    errorTypes[error.errorCode] = (errorTypes[error.errorCode] || 0) + 1;
+                    const type = error.issueType || 'UNKNOWN';
+                    errorTypes[type] = (errorTypes[type] || 0) + 1;
                 });
 
-                Object.entries(errorTypes).forEach(([code, count]) => {
-                    console.log(`- ${code}: ${count} errors`);
+                Object.entries(errorTypes).forEach(([type, count]) => {
+                    const { retryable, hint } = ERROR_ISSUE_TYPES[type] || ERROR_ISSUE_TYPES.UNKNOWN;
+                    console.log(`- ${type}: ${count} errors${retryable ? ' (retryable: run share again)' : ''}`);
+                    console.log(`  💡 ${hint}`);
                 });
             }
 
@@ -986,69 +1943,185 @@ class BatchShareMonitor {
         }
     }
 
-    async getAvailableWorksheets() {
+    /**
+     * Locate the sheet columns by header before anything is shared.
+     * Fails when isShared or LastLog can't be found, since results couldn't be recorded.
+     */
+    async loadSheetColumns() {
         try {
             const sheetId = process.env.GOOGLE_SHEET_ID;
-            const response = await this.sheets.spreadsheets.get({
-                spreadsheetId: sheetId
-            });
+            this.worksheetName = await resolveWorksheetName(this.sheets, sheetId);
+            this.sheetColumns = await loadSheetColumns(this.sheets, sheetId, this.worksheetName, SHARE_REQUIRED_COLUMNS);
 
-            return response.data.sheets.map(sheet => ({
-                title: sheet.properties.title,
-                sheetId: sheet.properties.sheetId
-            }));
+            Object.entries(this.sheetColumns).forEach(([field, column]) => {
+                console.log(`📋 ${field}: column ${column.letter} ("${column.header}")`);
+            });
+            if (!this.sheetColumns.folderId) {
+                console.log('⚠️ No FolderId column in the sheet - shared folder IDs will not be written back');
+            }
+            return this.sheetColumns;
         } catch (error) {
-            console.error('❌ Error getting worksheets:', error.message);
+            console.error('❌ Error reading sheet columns:', error.message);
             throw error;
         }
     }
 
+    /**
+     * A1 range of one cell for a mapped field, e.g. "Form Response 1!I12"
+     */
+    sheetRange(field, row) {
+        return `${this.worksheetName}!${this.sheetColumns[field].letter}${row}`;
+    }
+
+    /**
+     * Cell updates writing the same values to every sheet row of a participant: its
+     * own row and the rows of repeated submissions merged into it (duplicateRows)
+     * @param {Object} participant - Cached participant or ledger entry
+     * @param {Object} values - Values keyed by field, e.g. { isShared: 'TRUE', lastLog }
+     * @returns {Array<Object>}
+     */
+    participantSheetUpdates(participant, values) {
+        const rows = [participant.row, ...(participant.duplicateRows || [])];
+        const updates = [];
+        rows.forEach(row => {
+            Object.entries(values).forEach(([field, value]) => {
+                updates.push({ range: this.sheetRange(field, row), values: [[value]] });
+            });
+        });
+        return updates;
+    }
+
+    /**
+     * Value written to the FolderId column: the bare ID, or a Drive link when WRITE_FOLDER_URL=true.
+     * Both forms are read back by extractDriveFolderId.
+     */
+    folderIdCellValue(folderId) {
+        return this.writeFolderUrl ? folderUrl(folderId) : folderId;
+    }
+
+    /**
+     * Write every pending sheet update, SHEET_FLUSH_SIZE per request
+     * @throws {Error} When a chunk still fails after retries; it stays pending
+     */
     async updateSheets() {
         try {
             if (this.batchUpdates.length === 0) {
-                console.log('📝 No updates to apply to sheets');
+                console.log(`📝 No updates to apply to sheets${this.sheetUpdatesWritten > 0 ? ` (${this.sheetUpdatesWritten} already written during the run)` : ''}`);
                 return;
             }
 
-            const sheetId = process.env.GOOGLE_SHEET_ID;
-            if (!sheetId) {
-                throw new Error('GOOGLE_SHEET_ID environment variable is required');
+            console.log(`📝 Updating Google Sheets with ${this.batchUpdates.length} updates...`);
+            while (this.batchUpdates.length > 0) {
+                await this.flushSheetUpdates({ throwOnError: true });
             }
+            console.log(`✅ Successfully updated ${this.sheetUpdatesWritten} cells in Google Sheets`);
+
+        } catch (error) {
+            console.error('❌ Error updating Google Sheets:', error.message);
+            throw error;
+        }
+    }
 
-            const worksheets = await this.getAvailableWorksheets();
-            let worksheetName = process.env.WORKSHEET_NAME || 'Form Response 1';
+    /**
+     * Write the oldest pending updates (up to SHEET_FLUSH_SIZE) in one batchUpdate,
+     * retrying transient errors. Updates are only removed from batchUpdates once the
+     * write is confirmed, so failed ones are sent again by the next flush or, through
+     * the history file, by the next run. Only one flush runs at a time.
+     * @param {Object} options
+     * @param {boolean} options.throwOnError - Rethrow instead of logging and keeping the updates
+     * @returns {Promise<number>} Updates written
+     */
+    flushSheetUpdates({ throwOnError = false } = {}) {
+        if (this.sheetFlush) {
+            return this.sheetFlush;
+        }
 
-            const targetWorksheet = worksheets.find(ws =>
-                ws.title === worksheetName ||
-                ws.title.toLowerCase() === worksheetName.toLowerCase()
-            );
+        this.sheetFlush = this.writeSheetUpdates()
+            .catch(error => {
+                const { issueType, hint } = classifyError(error);
+                console.error(`❌ Sheet update failed (${issueType}), ${this.batchUpdates.length} updates stay pending:`, error.message);
+                console.error(`💡 ${hint}`);
+                if (throwOnError) throw error;
+                return 0;
+            })
+            .finally(() => {
+                this.sheetFlush = null;
+            });
+        return this.sheetFlush;
+    }
+
+    async writeSheetUpdates() {
+        const pending = this.batchUpdates.slice(0, this.sheetFlushSize);
+        if (pending.length === 0) {
+            return 0;
+        }
 
-            if (!targetWorksheet) {
-                worksheetName = worksheets[0].title;
-                console.log(`📝 Using worksheet: "${worksheetName}"`);
+        const sheetId = process.env.GOOGLE_SHEET_ID;
+        if (!sheetId) {
+            throw new Error('GOOGLE_SHEET_ID environment variable is required');
+        }
+
+        const worksheetName = this.worksheetName || await resolveWorksheetName(this.sheets, sheetId);
+
+        // Updates resumed from older history files still use the "Form Response 1!" prefix
+        const data = pending.map(update => ({
+            ...update,
+            range: update.range.replace('Form Response 1!', `${worksheetName}!`)
+        }));
+
+        await withRetry(() => this.sheets.spreadsheets.values.batchUpdate({
+            spreadsheetId: sheetId,
+            resource: {
+                valueInputOption: 'RAW',
+                data
             }
+        }), this.retryPolicy || resolveRetryPolicy(), {
+            label: 'values.batchUpdate',
+            onRetry: record => {
+                console.log(`🔁 Sheet update of ${data.length} cells failed (${record.errorCode}), attempt ${record.attempt}, retrying in ${record.delayMs}ms`);
+            }
+        });
 
-            const updatedBatchUpdates = this.batchUpdates.map(update => ({
-                ...update,
-                range: update.range.replace('Form Response 1!', `${worksheetName}!`)
-            }));
+        // Only appends happen while the request is out, so the written updates are still first
+        this.batchUpdates.splice(0, pending.length);
+        this.sheetUpdatesWritten += pending.length;
+        console.log(`📝 Wrote ${pending.length} sheet updates (${this.batchUpdates.length} pending)`);
+        return pending.length;
+    }
 
-            console.log(`📝 Updating Google Sheets with ${updatedBatchUpdates.length} updates...`);
+    /**
+     * Flush during sharing once SHEET_FLUSH_SIZE updates are pending. The snapshot
+     * taken afterwards drops the written updates from the history file.
+     */
+    flushSheetUpdatesIfFull() {
+        if (this.batchUpdates.length >= this.sheetFlushSize && !this.sheetFlush) {
+            this.flushSheetUpdatesDuringRun();
+        }
+    }
 
-            const response = await this.sheets.spreadsheets.values.batchUpdate({
-                spreadsheetId: sheetId,
-                resource: {
-                    valueInputOption: 'RAW',
-                    data: updatedBatchUpdates
-                }
-            });
+    async flushSheetUpdatesDuringRun() {
+        const written = await this.flushSheetUpdates();
+        if (written > 0) {
+            this.saveProcessingHistory();
+        }
+    }
 
-            console.log(`✅ Successfully updated ${updatedBatchUpdates.length} cells in Google Sheets`);
-            return response.data;
+    /**
+     * Flush pending sheet updates every SHEET_FLUSH_INTERVAL seconds, also while paused
+     */
+    startSheetFlushTimer() {
+        this.stopSheetFlushTimer();
+        this.sheetFlushTimer = setInterval(() => {
+            if (this.batchUpdates.length > 0 && !this.sheetFlush) {
+                this.flushSheetUpdatesDuringRun();
+            }
+        }, this.sheetFlushInterval * 1000);
+    }
 
-        } catch (error) {
-            console.error('❌ Error updating Google Sheets:', error.message);
-            throw error;
+    stopSheetFlushTimer() {
+        if (this.sheetFlushTimer) {
+            clearInterval(this.sheetFlushTimer);
+            this.sheetFlushTimer = null;
         }
     }
 
@@ -1088,56 +2161,189 @@ class BatchShareMonitor {
     }
 }
 
-async function main() {
-    // Validate environment variables first
-    validateEnvironmentVariables();
+/**
+ * Status entry for one worker in the monitoring table
+ */
+function createWorkerStats(index) {
+    return {
+        id: index,
+        status: 'idle', // idle, working, error, stopped
+        currentParticipant: null,
+        tasksCompleted: 0,
+        errors: 0,
+        retiring: false
+    };
+}
+
+/**
+ * Share mode: share every unshared participant's folder, save the results and update the sheet
+ * @param {BatchShareMonitor} monitor
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Cancels the run; finished shares are still saved
+ * @param {Array<string>} options.argv - Share option flags (see share_options.js)
+ */
+async function runShare(monitor, { signal = null, argv = [] } = {}) {
+    if (signal) {
+        signal.addEventListener('abort', () => monitor.cancel(), { once: true });
+    }
+
+    monitor.loadShareOptions(argv);
+    monitor.loadRetryPolicy();
+    monitor.loadRateLimiter();
+
+    const initialized = await monitor.initialize();
+    if (!initialized) {
+        throw new Error('Failed to initialize Google APIs');
+    }
+
+    monitor.loadCachedParticipants();
+    monitor.loadScanResults();
+    monitor.loadMatchOverrides();
+    monitor.loadShareLedger();
+    await monitor.loadSheetColumns();
     
-    const monitor = new BatchShareMonitor();
+    // Load previous processing history for resume functionality
+    monitor.loadProcessingHistory();
 
-    // Handle graceful shutdown
-    const gracefulShutdown = () => {
-        console.log('\n🛑 Received shutdown signal. Saving progress...');
+    await monitor.processBatchSharing();
+    await monitor.saveDetailedResults();
+    await monitor.updateSheets();
+
+    monitor.printDetailedSummary();
+
+    if (monitor.cancelled) {
+        // Keep the history for resuming, without the updates that were just written
         monitor.saveProcessingHistory();
-        console.log('💾 Progress saved. Exiting gracefully.');
-        process.exit(0);
-    };
+        console.log('\n🛑 Batch folder sharing stopped before the queue was finished; the next run resumes from monitor_share_history.json');
+        return;
+    }
 
-    process.on('SIGINT', gracefulShutdown);
-    process.on('SIGTERM', gracefulShutdown);
+    // Clean up history file after successful completion
+    monitor.cleanupHistory();
 
+    console.log('\n✅ Batch folder sharing completed successfully!');
+    
+    // Auto-rescan to update dashboard with accurate pending shares count
+    console.log('🔄 Starting auto-rescan to update dashboard...');
     try {
-        const initialized = await monitor.initialize();
-        if (!initialized) {
-            process.exit(1);
-        }
+        await runCache();
+        console.log('✅ Auto-rescan completed - dashboard updated with latest pending shares count');
+    } catch (error) {
+        console.error('❌ Auto-rescan failed:', error.message);
+    }
+}
 
-        monitor.loadCachedParticipants();
-        monitor.loadScanResults();
-        
-        // Load previous processing history for resume functionality
-        monitor.loadProcessingHistory();
+/**
+ * Revoke mode: remove previously created permissions instead of sharing
+ * @param {BatchShareMonitor} monitor
+ * @param {Object} selection - From resolveRevokeSelection
+ * @param {Object} options
+ * @param {AbortSignal} options.signal - Stops before the next revocation
+ */
+async function runRevoke(monitor, selection, { signal = null } = {}) {
+    if (signal) {
+        signal.addEventListener('abort', () => monitor.cancel(), { once: true });
+    }
+
+    monitor.loadRetryPolicy();
+    monitor.loadRateLimiter();
 
-        await monitor.processBatchSharing();
-        await monitor.saveDetailedResults();
-        await monitor.updateSheets();
+    const initialized = await monitor.initialize();
+    if (!initialized) {
+        throw new Error('Failed to initialize Google APIs');
+    }
 
-        monitor.printDetailedSummary();
+    monitor.loadShareLedger();
+    await monitor.loadSheetColumns();
 
-        // Clean up history file after successful completion
-        monitor.cleanupHistory();
+    await monitor.revokeShares(selection);
+    monitor.saveRevokeResults(selection);
+    await monitor.updateSheets();
+
+    const { total, successful, failed } = monitor.progressStats;
+    console.log(`FINAL_STATS: Revoked=${successful}, Failed=${failed}, Selected=${total}`);
+    console.log('\n✅ Revoke completed successfully!');
+}
+
+async function main() {
+    // Validate environment variables first
+    validateEnvironmentVariables();
+
+    let batchConfig;
+    try {
+        batchConfig = loadBatchConfig();
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+
+    const monitor = new BatchShareMonitor(batchConfig);
+
+    let revokeSelection;
+    try {
+        revokeSelection = resolveRevokeSelection(process.argv.slice(2));
+    } catch (error) {
+        console.error('❌', error.message);
+        process.exit(1);
+    }
+
+    if (revokeSelection) {
+        const saveRevokeProgress = () => {
+            monitor.saveShareLedger();
+            monitor.saveLocalCache();
+        };
+        process.on('SIGINT', () => {
+            saveRevokeProgress();
+            process.exit(0);
+        });
+        process.on('SIGTERM', () => {
+            saveRevokeProgress();
+            process.exit(0);
+        });
 
-        console.log('\n✅ Batch folder sharing completed successfully!');
-        
-        // Auto-rescan to update dashboard with accurate pending shares count
-        console.log('🔄 Starting auto-rescan to update dashboard...');
-        const { execSync } = require('child_process');
         try {
-            execSync('node cache_peserta.js', { stdio: 'inherit' });
-            console.log('✅ Auto-rescan completed - dashboard updated with latest pending shares count');
+            await runRevoke(monitor, revokeSelection);
         } catch (error) {
-            console.error('❌ Auto-rescan failed:', error.message);
+            console.error('❌ Fatal error:', error.message);
+            saveRevokeProgress();
+            process.exit(1);
+        }
+        return;
+    }
+
+    // Graceful shutdown: the first signal stops handing out tasks and lets the run finish
+    // saving results and sheet updates; a second signal only saves history and exits
+    const gracefulShutdown = () => {
+        if (!monitor.cancelled) {
+            console.log('\n🛑 Received shutdown signal. Finishing in-flight tasks, then saving results and sheet updates (send again to exit now)...');
+            monitor.cancel();
+            return;
         }
+        console.log('\n🛑 Received second shutdown signal. Saving progress...');
+        monitor.saveProcessingHistory();
+        console.log('💾 Progress saved. Exiting.');
+        process.exit(0);
+    };
 
+    process.on('SIGINT', gracefulShutdown);
+    process.on('SIGTERM', gracefulShutdown);
+
+    // Control messages from a parent process that started this script with an IPC channel
+    monitor.events.onControl((type, data) => {
+        if (type === SHARE_EVENT_TYPES.SET_WORKER_COUNT) {
+            monitor.setWorkerCount(data.count);
+        } else if (type === SHARE_EVENT_TYPES.PAUSE) {
+            monitor.pause();
+        } else if (type === SHARE_EVENT_TYPES.RESUME) {
+            monitor.resume();
+        } else if (type === SHARE_EVENT_TYPES.STOP) {
+            monitor.cancel();
+        }
+    });
+
+    try {
+        await runShare(monitor, { argv: process.argv.slice(2) });
+        monitor.events.close();
     } catch (error) {
         console.error('❌ Fatal error:', error.message);
         
@@ -1150,6 +2356,9 @@ async function main() {
 }
 
 module.exports = BatchShareMonitor;
+module.exports.runShare = runShare;
+module.exports.runRevoke = runRevoke;
+module.exports.resolveRevokeSelection = resolveRevokeSelection;
 
 if (require.main === module) {
     main();
@@ -0,0 +1,91 @@
+const { folderNameKey } = require('./scan_results');
+
+// flag: merge only submissions with the same email and report names with several emails;
+// latest: keep the newest submission of a name; first: keep the oldest.
+// flag is the default because two different people can share a name, and latest/first
+// would then share one person's folder with the other person's email
+const DUPLICATE_POLICIES = ['flag', 'latest', 'first'];
+const DEFAULT_DUPLICATE_POLICY = 'flag';
+
+/**
+ * Resolve how repeated form submissions are merged (DUPLICATE_POLICY)
+ * @param {Object} env - Environment variables
+ * @returns {string} One of DUPLICATE_POLICIES
+ */
+function resolveDuplicatePolicy(env = process.env) {
+    const policy = (env.DUPLICATE_POLICY || DEFAULT_DUPLICATE_POLICY).toLowerCase().trim();
+    if (!DUPLICATE_POLICIES.includes(policy)) {
+        throw new Error(`Invalid DUPLICATE_POLICY "${env.DUPLICATE_POLICY}". Use one of: ${DUPLICATE_POLICIES.join(', ')}`);
+    }
+    return policy;
+}
+
+/**
+ * Merge participants that submitted the form more than once into one entry per name.
+ *
+ * Form responses are appended in submission order, so a higher row is a later
+ * submission. The kept entry lists the other rows in `duplicateRows`; the share run
+ * writes the same IsShared, LastLog and FolderId to all of them. Extra emails of
+ * every merged row are kept in `extraEmails`. With the `flag` policy, a name with
+ * more than one email is kept once with `duplicateConflict` set, and is reported
+ * instead of shared.
+ * @param {Array<Object>} participants - Cached participants with row, nama and normalized email
+ * @param {string} policy - One of DUPLICATE_POLICIES
+ * @returns {Object} { participants, merged: [{ kept, rows, emails }], conflicts: [...] }
+ */
+function dedupeParticipants(participants, policy = DEFAULT_DUPLICATE_POLICY) {
+    const groups = new Map();
+    participants.forEach(participant => {
+        const key = folderNameKey(participant.nama);
+        if (!groups.has(key)) {
+            groups.set(key, []);
+        }
+        groups.get(key).push(participant);
+    });
+
+    const kept = [];
+    const merged = [];
+    const conflicts = [];
+
+    for (const group of groups.values()) {
+        if (group.length === 1) {
+            kept.push(group[0]);
+            continue;
+        }
+
+        const rows = group.map(p => p.row).sort((a, b) => a - b);
+        const byRow = [...group].sort((a, b) => a.row - b.row);
+        const emails = [...new Set(byRow.map(p => p.email))];
+        const primary = policy === 'first' ? byRow[0] : byRow[byRow.length - 1];
+
+        const participant = {
+            ...primary,
+            duplicateRows: rows.filter(row => row !== primary.row)
+        };
+        const extraEmails = [...new Set(byRow.flatMap(p => p.extraEmails || []))]
+            .filter(email => email !== primary.email);
+        if (extraEmails.length > 0) {
+            participant.extraEmails = extraEmails;
+        }
+        if (policy === 'flag' && emails.length > 1) {
+            participant.duplicateConflict = {
+                emails,
+                rows: byRow.map(p => ({ row: p.row, email: p.email }))
+            };
+            conflicts.push(participant);
+        }
+
+        kept.push(participant);
+        merged.push({ kept: participant, rows, emails });
+    }
+
+    kept.sort((a, b) => a.row - b.row);
+    return { participants: kept, merged, conflicts };
+}
+
+module.exports = {
+    DUPLICATE_POLICIES,
+    DEFAULT_DUPLICATE_POLICY,
+    resolveDuplicatePolicy,
+    dedupeParticipants
+};
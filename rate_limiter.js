@@ -0,0 +1,156 @@
+const { batchEnv } = require('./batch_config');
+
+const DEFAULT_RATE_LIMIT = {
+    rate: 10,
+    burst: 10,
+    minRate: 1
+};
+
+// After a rate-limit error the rate is halved, then raised by this share of the
+// configured rate for every quiet interval until it is back to the limit
+const DECREASE_FACTOR = 0.5;
+const RECOVERY_STEP = 0.1;
+const RECOVERY_INTERVAL = 5000;
+// Rate-limit errors within this many ms of a slowdown count as the same slowdown
+const SLOWDOWN_WINDOW = 1000;
+
+function parsePositiveNumber(value, name) {
+    const parsed = Number(value);
+    if (!isFinite(parsed) || parsed <= 0) {
+        throw new Error(`Invalid ${name} "${value}". Use a number greater than 0`);
+    }
+    return parsed;
+}
+
+/**
+ * Resolve limiter settings from env (by default the environment over batch_config.env):
+ *   RATE_LIMIT_RPS      requests per second across all workers (default 10)
+ *   RATE_LIMIT_BURST    requests that can go out at once after a quiet period (default RATE_LIMIT_RPS)
+ *   RATE_LIMIT_MIN_RPS  floor when slowing down after rate-limit errors (default 1)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { rate, burst, minRate }
+ */
+function resolveRateLimit(env = batchEnv()) {
+    const rate = env.RATE_LIMIT_RPS ?
+        parsePositiveNumber(env.RATE_LIMIT_RPS, 'RATE_LIMIT_RPS') : DEFAULT_RATE_LIMIT.rate;
+    const burst = env.RATE_LIMIT_BURST ?
+        Math.max(1, Math.floor(parsePositiveNumber(env.RATE_LIMIT_BURST, 'RATE_LIMIT_BURST'))) : Math.max(1, Math.floor(rate));
+    const minRate = env.RATE_LIMIT_MIN_RPS ?
+        parsePositiveNumber(env.RATE_LIMIT_MIN_RPS, 'RATE_LIMIT_MIN_RPS') : Math.min(DEFAULT_RATE_LIMIT.minRate, rate);
+
+    return { rate, burst, minRate: Math.min(minRate, rate) };
+}
+
+/**
+ * Token bucket shared by every share worker. Workers ask the main thread for a
+ * token before each API call; the bucket refills at the current rate, which is
+ * halved on rate-limit errors and slowly raised back to the configured rate.
+ */
+class TokenBucketLimiter {
+    constructor(options = DEFAULT_RATE_LIMIT) {
+        this.maxRate = options.rate;
+        this.minRate = options.minRate;
+        this.burst = options.burst;
+        this.rate = this.maxRate;
+        this.tokens = this.burst;
+        this.lastRefill = Date.now();
+        this.lastRateLimitAt = 0;
+        this.lastSlowdownAt = 0;
+        this.lastRecoveryAt = 0;
+        this.queue = [];
+        this.timer = null;
+        this.stats = { granted: 0, rateLimitErrors: 0, slowdowns: 0 };
+        this.onRateChange = null;
+    }
+
+    refill() {
+        const now = Date.now();
+        this.tokens = Math.min(this.burst, this.tokens + ((now - this.lastRefill) / 1000) * this.rate);
+        this.lastRefill = now;
+        this.recover(now);
+    }
+
+    /**
+     * Raise the rate one step when no rate-limit error was seen for a while
+     */
+    recover(now) {
+        if (this.rate >= this.maxRate) return;
+        const quietSince = Math.max(this.lastRateLimitAt, this.lastRecoveryAt);
+        if (now - quietSince < RECOVERY_INTERVAL) return;
+
+        this.rate = Math.min(this.maxRate, this.rate + this.maxRate * RECOVERY_STEP);
+        this.lastRecoveryAt = now;
+        if (this.onRateChange) this.onRateChange(this.snapshot());
+    }
+
+    /**
+     * Wait for a token
+     * @returns {Promise<void>}
+     */
+    acquire() {
+        return new Promise(resolve => {
+            this.queue.push(resolve);
+            this.drain();
+        });
+    }
+
+    drain() {
+        if (this.timer) return;
+        this.refill();
+
+        while (this.queue.length > 0 && this.tokens >= 1) {
+            this.tokens -= 1;
+            this.stats.granted++;
+            this.queue.shift()();
+        }
+
+        if (this.queue.length > 0) {
+            const wait = Math.ceil(((1 - this.tokens) / this.rate) * 1000);
+            this.timer = setTimeout(() => {
+                this.timer = null;
+                this.drain();
+            }, wait);
+        }
+    }
+
+    /**
+     * Slow down after a rate-limit error. Errors arriving together (several workers
+     * hitting the same limit) only count as one slowdown per SLOWDOWN_WINDOW.
+     */
+    reportRateLimit() {
+        const now = Date.now();
+        this.stats.rateLimitErrors++;
+        this.lastRateLimitAt = now;
+        if (now - this.lastSlowdownAt < SLOWDOWN_WINDOW || this.rate <= this.minRate) return;
+
+        this.lastSlowdownAt = now;
+        this.rate = Math.max(this.minRate, this.rate * DECREASE_FACTOR);
+        this.tokens = Math.min(this.tokens, 0);
+        this.stats.slowdowns++;
+        if (this.onRateChange) this.onRateChange(this.snapshot());
+    }
+
+    snapshot() {
+        return {
+            rate: Math.round(this.rate * 100) / 100,
+            maxRate: this.maxRate,
+            burst: this.burst,
+            waiting: this.queue.length,
+            throttled: this.rate < this.maxRate,
+            ...this.stats
+        };
+    }
+
+    stop() {
+        if (this.timer) {
+            clearTimeout(this.timer);
+            this.timer = null;
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RATE_LIMIT,
+    resolveRateLimit,
+    TokenBucketLimiter
+};
@@ -0,0 +1,180 @@
+const { batchEnv } = require('./batch_config');
+
+const DEFAULT_RETRY_POLICY = {
+    maxAttempts: 5,
+    baseDelay: 1000,
+    maxDelay: 60000
+};
+
+// 403 reasons Drive uses for rate limits; every other 403 is a real permission problem.
+// error_classifier.js reports the same reasons as RATE_LIMITED
+const RATE_LIMIT_REASONS = ['userRateLimitExceeded', 'rateLimitExceeded', 'sharingRateLimitExceeded'];
+const TRANSIENT_NETWORK_CODES = ['ECONNRESET', 'ETIMEDOUT', 'ECONNREFUSED', 'EAI_AGAIN', 'EPIPE', 'ESOCKETTIMEDOUT'];
+
+function parsePositiveInt(value, name, min) {
+    const parsed = Number(value);
+    if (!Number.isInteger(parsed) || parsed < min) {
+        throw new Error(`Invalid ${name} "${value}". Use a whole number of at least ${min}`);
+    }
+    return parsed;
+}
+
+/**
+ * Resolve the retry policy from env (by default the environment over batch_config.env):
+ *   RETRY_MAX_ATTEMPTS  attempts per API call including the first (default 5)
+ *   RETRY_BASE_DELAY    delay before the first retry in ms, doubled each time (default 1000)
+ *   RETRY_MAX_DELAY     upper bound for a single wait in ms (default 60000)
+ * @param {Object} env - Environment variables
+ * @returns {Object} { maxAttempts, baseDelay, maxDelay }
+ */
+function resolveRetryPolicy(env = batchEnv()) {
+    const policy = {
+        maxAttempts: env.RETRY_MAX_ATTEMPTS ?
+            parsePositiveInt(env.RETRY_MAX_ATTEMPTS, 'RETRY_MAX_ATTEMPTS', 1) : DEFAULT_RETRY_POLICY.maxAttempts,
+        baseDelay: env.RETRY_BASE_DELAY ?
+            parsePositiveInt(env.RETRY_BASE_DELAY, 'RETRY_BASE_DELAY', 0) : DEFAULT_RETRY_POLICY.baseDelay,
+        maxDelay: env.RETRY_MAX_DELAY ?
+            parsePositiveInt(env.RETRY_MAX_DELAY, 'RETRY_MAX_DELAY', 0) : DEFAULT_RETRY_POLICY.maxDelay
+    };
+    policy.maxDelay = Math.max(policy.maxDelay, policy.baseDelay);
+    return policy;
+}
+
+/**
+ * HTTP status of a googleapis error, if any
+ */
+function errorStatus(error) {
+    if (error.response && error.response.status) return error.response.status;
+    return typeof error.code === 'number' ? error.code : parseInt(error.code) || null;
+}
+
+/**
+ * Reason reported by the Google API, e.g. "userRateLimitExceeded"
+ */
+function errorReason(error) {
+    if (Array.isArray(error.errors) && error.errors[0] && error.errors[0].reason) {
+        return error.errors[0].reason;
+    }
+    const data = error.response && error.response.data && error.response.data.error;
+    if (data && Array.isArray(data.errors) && data.errors[0]) {
+        return data.errors[0].reason || null;
+    }
+    return null;
+}
+
+/**
+ * Whether Drive rejected the call for going too fast (429 or a rate-limit 403)
+ * @param {Error} error - Error thrown by a googleapis call
+ * @returns {boolean}
+ */
+function isRateLimitError(error) {
+    const status = errorStatus(error);
+    return status === 429 || (status === 403 && RATE_LIMIT_REASONS.includes(errorReason(error)));
+}
+
+/**
+ * Whether an error is worth retrying: 429, 5xx, 408, rate-limit 403s and dropped connections.
+ * Everything else (404, invalid email, real 403s) fails immediately.
+ * @param {Error} error - Error thrown by a googleapis call
+ * @returns {boolean}
+ */
+function isTransientError(error) {
+    if (isRateLimitError(error)) return true;
+    const status = errorStatus(error);
+    if (status === 408 || (status >= 500 && status < 600)) return true;
+    return TRANSIENT_NETWORK_CODES.includes(error.code);
+}
+
+/**
+ * Retry-After header in ms. It can be a number of seconds or an HTTP date.
+ * @param {Error} error - Error thrown by a googleapis call
+ * @returns {number|null}
+ */
+function retryAfterMs(error) {
+    const headers = error.response && error.response.headers;
+    const value = headers && (headers['retry-after'] || headers['Retry-After']);
+    if (!value) return null;
+
+    const seconds = Number(value);
+    if (!isNaN(seconds)) return Math.max(0, seconds * 1000);
+
+    const date = Date.parse(value);
+    return isNaN(date) ? null : Math.max(0, date - Date.now());
+}
+
+/**
+ * Wait before the given retry: Retry-After when the API sent one, otherwise
+ * exponential backoff with full jitter. Never more than policy.maxDelay.
+ * @param {number} attempt - Attempt that just failed, starting at 1
+ * @param {Object} policy - From resolveRetryPolicy
+ * @param {Error} error - The failure
+ * @returns {number} Delay in ms
+ */
+function retryDelay(attempt, policy, error) {
+    const retryAfter = retryAfterMs(error);
+    if (retryAfter !== null) {
+        return Math.min(retryAfter, policy.maxDelay);
+    }
+    const backoff = Math.min(policy.baseDelay * 2 ** (attempt - 1), policy.maxDelay);
+    return Math.round(Math.random() * backoff);
+}
+
+function sleep(ms) {
+    return new Promise(resolve => setTimeout(resolve, ms));
+}
+
+/**
+ * Run an API call, retrying transient failures.
+ * Every failed attempt is appended to `attempts`; when retries run out or the
+ * error is permanent, the last error is thrown with `attempts` attached.
+ * @param {Function} fn - Async function making the call
+ * @param {Object} policy - From resolveRetryPolicy
+ * @param {Object} options - { attempts: array to record into, label, onRetry(record) }
+ * @returns {Promise<*>} Result of fn
+ */
+async function withRetry(fn, policy, options = {}) {
+    const attempts = options.attempts || [];
+
+    for (let attempt = 1; ; attempt++) {
+        try {
+            return await fn();
+        } catch (error) {
+            const transient = isTransientError(error);
+            const retrying = transient && attempt < policy.maxAttempts;
+            const record = {
+                call: options.label || null,
+                attempt,
+                errorCode: error.code || 'UNKNOWN',
+                reason: errorReason(error),
+                error: error.message,
+                transient,
+                rateLimited: isRateLimitError(error),
+                delayMs: retrying ? retryDelay(attempt, policy, error) : null,
+                at: new Date().toISOString()
+            };
+            attempts.push(record);
+
+            if (!retrying) {
+                error.attempts = attempts;
+                throw error;
+            }
+
+            if (options.onRetry) options.onRetry(record);
+            await sleep(record.delayMs);
+        }
+    }
+}
+
+module.exports = {
+    DEFAULT_RETRY_POLICY,
+    RATE_LIMIT_REASONS,
+    resolveRetryPolicy,
+    errorStatus,
+    errorReason,
+    isRateLimitError,
+    isTransientError,
+    retryAfterMs,
+    retryDelay,
+    withRetry,
+    sleep
+};
@@ -1,13 +1,110 @@
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const {
+    SCAN_RESULTS_VERSION,
+    findDuplicateFolderNames,
+    normalizeScanResults,
+    rebuildFolderHierarchy
+} = require('./scan_results');
 require('dotenv').config();
 
+const DEFAULT_MAX_DEPTH = 2;
+const PAGE_SIZE = 1000;
+const FOLDER_MIME_TYPE = 'application/vnd.google-apps.folder';
+
+/**
+ * Parse a scan depth setting ("3", "unlimited", ...)
+ * @param {string|number} value - Raw depth value from CLI, env or web config
+ * @returns {number} Depth limit, Infinity for unlimited
+ */
+function parseMaxDepth(value) {
+    if (value === undefined || value === null || value === '') {
+        return DEFAULT_MAX_DEPTH;
+    }
+
+    const normalized = String(value).trim().toLowerCase();
+    if (['unlimited', 'infinity', 'all', '-1'].includes(normalized)) {
+        return Infinity;
+    }
+
+    const depth = Number(normalized);
+    if (!Number.isInteger(depth) || depth < 0) {
+        throw new Error(`Invalid scan depth "${value}". Use a whole number (0 or more) or "unlimited".`);
+    }
+    return depth;
+}
+
+/**
+ * Read the scan depth from `--depth N` / `--depth=N` CLI arguments, falling back to SCAN_MAX_DEPTH
+ * @param {Array<string>} argv - Command line arguments
+ * @returns {number} Depth limit, Infinity for unlimited
+ */
+function resolveMaxDepth(argv = []) {
+    for (let i = 0; i < argv.length; i++) {
+        const arg = argv[i];
+        if (arg === '--depth' || arg === '--max-depth') {
+            return parseMaxDepth(argv[i + 1]);
+        }
+        const match = arg.match(/^--(?:max-)?depth=(.*)$/);
+        if (match) {
+            return parseMaxDepth(match[1]);
+        }
+    }
+    return parseMaxDepth(process.env.SCAN_MAX_DEPTH);
+}
+
+/**
+ * Human readable depth limit
+ * @param {number} maxDepth - Depth limit
+ * @returns {string}
+ */
+function formatMaxDepth(maxDepth) {
+    return maxDepth === Infinity ? 'unlimited' : `${maxDepth} levels`;
+}
+
+/**
+ * Depth limit as stored in scan_results.json (JSON has no Infinity)
+ * @param {number} maxDepth - Depth limit
+ * @returns {number|string}
+ */
+function serializeMaxDepth(maxDepth) {
+    return maxDepth === Infinity ? 'unlimited' : maxDepth;
+}
+
+/**
+ * Path of the file that stores the Drive changes token for a scan results file
+ * @param {string} outputFilename - Scan results filename
+ * @returns {string}
+ */
+function changesStateFilename(outputFilename) {
+    return `${outputFilename.replace(/\.json$/, '')}_changes.json`;
+}
+
 class GoogleDriveCacheScanner {
-    constructor() {
+    /**
+     * @param {Object} options - Scanner options
+     * @param {number} options.maxDepth - Maximum depth to scan (Infinity for unlimited)
+     * @param {AbortSignal} options.signal - Stops the scan at the next Drive request when aborted
+     */
+    constructor(options = {}) {
         this.drive = null;
         this.cache = new Map();
         this.scannedFolders = new Set();
+        this.folderNames = new Map();
+        this.maxDepth = options.maxDepth !== undefined ? options.maxDepth : DEFAULT_MAX_DEPTH;
+        this.folderStats = [];
+        this.failedFolders = [];
+        this.signal = options.signal || null;
+    }
+
+    /**
+     * Throw when the scan has been cancelled
+     */
+    throwIfCancelled() {
+        if (this.signal && this.signal.aborted) {
+            throw new Error('Scan cancelled');
+        }
     }
 
     /**
@@ -47,10 +144,11 @@ class GoogleDriveCacheScanner {
      * Get folder contents by folder ID
      * @param {string} folderId - Google Drive folder ID
      * @param {number} depth - Current depth level
-     * @param {number} maxDepth - Maximum depth to scan
-     * @returns {Promise<Object>} Folder contents
+     * @param {number} maxDepth - Maximum depth to scan (Infinity for unlimited)
+     * @param {Array<Object>} ancestors - Chain of { id, name } from the scan root down to this folder
+     * @returns {Promise<Array<Object>>} Every subfolder found, each with its parent chain, path and depth
      */
-    async getFolderContents(folderId, depth = 0, maxDepth = 2) {
+    async getFolderContents(folderId, depth = 0, maxDepth = this.maxDepth, ancestors = []) {
         try {
             // Check cache first
             const cacheKey = `${folderId}_${depth}`;
@@ -61,62 +159,129 @@ class GoogleDriveCacheScanner {
 
             console.log(`🔍 Scanning folder ${folderId} at depth ${depth}`);
 
-            // Query for files and folders in the current folder
-            const response = await this.drive.files.list({
-                q: `'${folderId}' in parents and trashed=false`,
-                fields: 'files(id, name, mimeType, size, modifiedTime, parents)',
-                pageSize: 1000
-            });
-
-            const items = response.data.files || [];
-            const folderContents = {};
+            const { items, pages } = await this.listFolderItems(folderId);
+            const folderContents = [];
+            const parentChain = [...ancestors.map(ancestor => ancestor.id), folderId];
+            // The scan root itself is not part of the visible path
+            const pathNames = ancestors.slice(1).map(ancestor => ancestor.name);
+            if (ancestors.length > 0) {
+                pathNames.push(this.folderNames.get(folderId));
+            }
 
             for (const item of items) {
-                // If it's a folder and we haven't reached max depth, scan it recursively
-                if (item.mimeType === 'application/vnd.google-apps.folder' && depth < maxDepth) {
+                if (item.mimeType !== FOLDER_MIME_TYPE) {
+                    continue;
+                }
+
+                this.folderNames.set(item.id, item.name);
+                folderContents.push({
+                    id: item.id,
+                    name: item.name,
+                    parentId: folderId,
+                    parentChain,
+                    path: [...pathNames, item.name].join('/'),
+                    depth
+                });
+
+                // If we haven't reached max depth, scan it recursively
+                if (depth < maxDepth) {
                     console.log(`📁 Found subfolder: ${item.name} (ID: ${item.id})`);
-                    
+
                     // Prevent infinite loops by checking if we've already scanned this folder
                     if (!this.scannedFolders.has(item.id)) {
                         this.scannedFolders.add(item.id);
-                        const subfolderContents = await this.getFolderContents(item.id, depth + 1, maxDepth);
-                        folderContents[item.name] = item.id;
-                        // Merge subfolders to the same level
-                        Object.assign(folderContents, subfolderContents);
+                        const subfolderContents = await this.getFolderContents(
+                            item.id,
+                            depth + 1,
+                            maxDepth,
+                            [...ancestors, { id: folderId, name: this.folderNames.get(folderId) }]
+                        );
+                        folderContents.push(...subfolderContents);
                     }
-                } else if (item.mimeType === 'application/vnd.google-apps.folder') {
-                    // If we've reached max depth, just store the folder info without scanning
-                    folderContents[item.name] = item.id;
                 }
             }
 
             // Cache the results
             this.cache.set(cacheKey, folderContents);
+            this.folderStats.push({
+                folderId,
+                path: pathNames.join('/') || '(root)',
+                depth,
+                pages,
+                items: items.length
+            });
             
-            console.log(`✅ Scanned ${items.length} items in folder ${folderId} at depth ${depth}`);
+            console.log(`✅ Scanned ${items.length} items (${pages} page${pages === 1 ? '' : 's'}) in folder ${folderId} at depth ${depth}`);
             return folderContents;
 
         } catch (error) {
+            // A cancelled scan must stop here instead of carrying on with a partial tree
+            this.throwIfCancelled();
             console.error(`❌ Error scanning folder ${folderId} at depth ${depth}:`, error.message);
-            return {};
+            this.failedFolders.push({ folderId, depth, error: error.message });
+            return [];
         }
     }
 
     /**
-     * Scan parent folder and its children (2 depth levels)
+     * List every item in a folder, following nextPageToken until the last page
+     * @param {string} folderId - Google Drive folder ID
+     * @returns {Promise<Object>} { items, pages }
+     */
+    async listFolderItems(folderId) {
+        const items = [];
+        let pages = 0;
+        let pageToken;
+
+        do {
+            this.throwIfCancelled();
+            const response = await this.drive.files.list({
+                q: `'${folderId}' in parents and trashed=false`,
+                fields: 'nextPageToken, files(id, name, mimeType, size, modifiedTime, parents)',
+                pageSize: PAGE_SIZE,
+                pageToken
+            });
+
+            pages++;
+            items.push(...(response.data.files || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return { items, pages };
+    }
+
+    /**
+     * Scan parent folder and its children
      * @param {string} parentFolderId - Parent folder ID to scan
-     * @returns {Promise<Object>} Complete scan results
+     * @param {number} maxDepth - Maximum depth to scan (Infinity for unlimited)
+     * @returns {Promise<Object>} Complete scan results in the hierarchical format
      */
-    async scanParentFolder(parentFolderId) {
+    async scanParentFolder(parentFolderId, maxDepth = this.maxDepth) {
         try {
             console.log(`🚀 Starting scan of parent folder: ${parentFolderId}`);
-            console.log(`📊 Maximum depth: 2 levels`);
+            console.log(`📊 Maximum depth: ${formatMaxDepth(maxDepth)}`);
             
             const startTime = Date.now();
-            const results = await this.getFolderContents(parentFolderId, 0, 2);
+            const folders = await this.getFolderContents(parentFolderId, 0, maxDepth);
             const endTime = Date.now();
             
-            const scanSummary = results;
+            const scanSummary = {
+                version: SCAN_RESULTS_VERSION,
+                rootFolderId: parentFolderId,
+                scannedAt: new Date().toISOString(),
+                maxDepth: serializeMaxDepth(maxDepth),
+                totalFolders: folders.length,
+                scanStats: {
+                    mode: 'full',
+                    foldersListed: this.folderStats.length,
+                    pagesFetched: this.folderStats.reduce((sum, stat) => sum + stat.pages, 0),
+                    itemsFetched: this.folderStats.reduce((sum, stat) => sum + stat.items, 0),
+                    durationMs: endTime - startTime,
+                    failedFolders: this.failedFolders,
+                    folders: this.folderStats
+                },
+                folders
+            };
 
             console.log(`🎉 Scan completed in ${endTime - startTime}ms`);
             console.log(`📈 Total folders scanned: ${this.scannedFolders.size}`);
@@ -130,6 +295,256 @@ class GoogleDriveCacheScanner {
         }
     }
 
+    /**
+     * Get a Drive changes token marking "now"; changes after this point can be replayed later
+     * @returns {Promise<string>} Start page token
+     */
+    async getStartPageToken() {
+        const response = await this.drive.changes.getStartPageToken({
+            supportsAllDrives: true
+        });
+        return response.data.startPageToken;
+    }
+
+    /**
+     * Fetch every change since the given token
+     * @param {string} startPageToken - Token saved by the previous scan
+     * @returns {Promise<Object>} { changes, pages, newStartPageToken }
+     */
+    async listChanges(startPageToken) {
+        const changes = [];
+        let pages = 0;
+        let pageToken = startPageToken;
+        let newStartPageToken = null;
+
+        while (pageToken) {
+            this.throwIfCancelled();
+            const response = await this.drive.changes.list({
+                pageToken,
+                pageSize: PAGE_SIZE,
+                includeRemoved: true,
+                supportsAllDrives: true,
+                includeItemsFromAllDrives: true,
+                fields: 'nextPageToken, newStartPageToken, changes(fileId, removed, file(id, name, mimeType, parents, trashed))'
+            });
+
+            pages++;
+            changes.push(...(response.data.changes || []));
+            pageToken = response.data.nextPageToken;
+            if (response.data.newStartPageToken) {
+                newStartPageToken = response.data.newStartPageToken;
+            }
+        }
+
+        return { changes, pages, newStartPageToken };
+    }
+
+    /**
+     * Update previous scan results with the adds, renames, moves and trashes since the last scan
+     * @param {Object} previousResults - Scan results from the last run (hierarchical format)
+     * @param {string} startPageToken - Changes token saved by the last run
+     * @param {Array<Object>} retryFolders - Folders the last run could not list ({ folderId, depth })
+     * @returns {Promise<Object>} { results, startPageToken }
+     */
+    async applyDriveChanges(previousResults, startPageToken, retryFolders = []) {
+        const rootFolderId = previousResults.rootFolderId;
+        const maxDepth = this.maxDepth;
+
+        console.log(`🔄 Fetching Drive changes since last scan of ${rootFolderId}`);
+        const startTime = Date.now();
+        const { changes, pages, newStartPageToken } = await this.listChanges(startPageToken);
+
+        const foldersById = new Map(previousResults.folders.map(folder => [folder.id, { ...folder }]));
+        const stats = { added: 0, renamed: 0, moved: 0, removed: 0, retried: 0 };
+
+        // Only the latest change per file matters
+        const latestChanges = new Map();
+        changes.forEach(change => latestChanges.set(change.fileId, change));
+
+        let pending = [];
+        for (const change of latestChanges.values()) {
+            if (change.removed || !change.file || change.file.trashed) {
+                if (foldersById.delete(change.fileId)) {
+                    stats.removed++;
+                }
+            } else if (change.file.mimeType === FOLDER_MIME_TYPE) {
+                pending.push(change.file);
+            }
+        }
+
+        // Apply folders whose parent is part of the tree; repeat so new parents are placed before their children
+        const addedIds = [];
+        let progress = true;
+        while (progress) {
+            progress = false;
+            pending = pending.filter(file => {
+                const parentId = (file.parents || [])[0];
+                if (parentId !== rootFolderId && !foldersById.has(parentId)) {
+                    return true;
+                }
+
+                const existing = foldersById.get(file.id);
+                if (!existing) {
+                    stats.added++;
+                    addedIds.push(file.id);
+                } else {
+                    if (existing.name !== file.name) stats.renamed++;
+                    if (existing.parentId !== parentId) stats.moved++;
+                }
+                foldersById.set(file.id, { ...existing, id: file.id, name: file.name, parentId });
+                progress = true;
+                return false;
+            });
+        }
+
+        // Whatever is left was moved out of the scanned tree
+        pending.forEach(file => {
+            if (foldersById.delete(file.id)) {
+                stats.removed++;
+            }
+        });
+
+        let folders = rebuildFolderHierarchy([...foldersById.values()], rootFolderId, maxDepth);
+
+        // Folders moved into the tree can bring their own subfolders, which the changes feed
+        // doesn't list. Folders the last run failed to list are listed again the same way.
+        folders.forEach(folder => this.folderNames.set(folder.id, folder.name));
+        const knownIds = new Set(folders.map(folder => folder.id));
+        const listSubfolders = async (folderId, depth, ancestors) => {
+            const subfolders = await this.getFolderContents(folderId, depth, maxDepth, ancestors);
+            subfolders.filter(sub => !knownIds.has(sub.id)).forEach(sub => {
+                knownIds.add(sub.id);
+                folders.push(sub);
+                stats.added++;
+            });
+        };
+        const ancestorsOf = folder => folder.parentChain.map(id => ({ id, name: this.folderNames.get(id) }));
+
+        for (const folder of folders.filter(f => addedIds.includes(f.id) && f.depth < maxDepth)) {
+            await listSubfolders(folder.id, folder.depth + 1, ancestorsOf(folder));
+        }
+
+        if (retryFolders.length > 0) {
+            console.log(`🔁 Listing ${retryFolders.length} folder${retryFolders.length === 1 ? '' : 's'} that could not be listed last time`);
+        }
+        for (const failed of retryFolders) {
+            if (failed.folderId === rootFolderId) {
+                await listSubfolders(rootFolderId, 0, []);
+                stats.retried++;
+                continue;
+            }
+            // Gone from the tree since, or now below the depth limit: nothing to list
+            const folder = folders.find(f => f.id === failed.folderId);
+            if (folder && folder.depth < maxDepth) {
+                await listSubfolders(folder.id, folder.depth + 1, ancestorsOf(folder));
+                stats.retried++;
+            }
+        }
+
+        const endTime = Date.now();
+        console.log(`✅ Applied ${latestChanges.size} changes (${pages} page${pages === 1 ? '' : 's'}) in ${endTime - startTime}ms`);
+
+        return {
+            results: {
+                ...previousResults,
+                scannedAt: new Date().toISOString(),
+                maxDepth: serializeMaxDepth(maxDepth),
+                totalFolders: folders.length,
+                scanStats: {
+                    mode: 'incremental',
+                    changesFetched: changes.length,
+                    pagesFetched: pages,
+                    ...stats,
+                    durationMs: endTime - startTime,
+                    failedFolders: this.failedFolders,
+                    folders: this.folderStats
+                },
+                folders
+            },
+            startPageToken: newStartPageToken || startPageToken
+        };
+    }
+
+    /**
+     * Scan incrementally from the saved changes token when possible, otherwise do a full scan
+     * @param {string} parentFolderId - Parent folder ID to scan
+     * @param {Object} options - { previousResults, changesState, full }
+     * @returns {Promise<Object>} { results, startPageToken }
+     */
+    async scanWithChanges(parentFolderId, { previousResults = null, changesState = null, full = false } = {}) {
+        const canResume = !full &&
+            previousResults && previousResults.version === SCAN_RESULTS_VERSION &&
+            changesState && changesState.startPageToken &&
+            changesState.rootFolderId === parentFolderId &&
+            previousResults.rootFolderId === parentFolderId &&
+            previousResults.maxDepth === serializeMaxDepth(this.maxDepth);
+
+        if (canResume) {
+            try {
+                return await this.applyDriveChanges(previousResults, changesState.startPageToken, changesState.failedFolders || []);
+            } catch (error) {
+                this.throwIfCancelled();
+                console.error('⚠️ Incremental scan failed, falling back to a full scan:', error.message);
+                this.clearCache();
+            }
+        } else if (!full && previousResults) {
+            console.log('ℹ️ No usable changes token for this folder/depth, running a full scan');
+        }
+
+        // Take the token before scanning so nothing that changes mid-scan is missed next time
+        const startPageToken = await this.getStartPageToken();
+        const results = await this.scanParentFolder(parentFolderId);
+        return { results, startPageToken };
+    }
+
+    /**
+     * Load the previous scan results, if any
+     * @param {string} filename - Scan results filename
+     * @returns {Object|null}
+     */
+    loadPreviousResults(filename = 'scan_results.json') {
+        try {
+            const resultsPath = path.join(__dirname, filename);
+            if (!fs.existsSync(resultsPath)) {
+                return null;
+            }
+            return normalizeScanResults(JSON.parse(fs.readFileSync(resultsPath, 'utf8')));
+        } catch (error) {
+            console.error('⚠️ Could not read previous scan results:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Load the saved Drive changes token for a scan results file
+     * @param {string} filename - Scan results filename
+     * @returns {Object|null}
+     */
+    loadChangesState(filename = 'scan_results.json') {
+        try {
+            const statePath = path.join(__dirname, changesStateFilename(filename));
+            if (!fs.existsSync(statePath)) {
+                return null;
+            }
+            return JSON.parse(fs.readFileSync(statePath, 'utf8'));
+        } catch (error) {
+            console.error('⚠️ Could not read changes token:', error.message);
+            return null;
+        }
+    }
+
+    /**
+     * Save the Drive changes token next to the scan results file
+     * @param {string} filename - Scan results filename
+     * @param {Object} state - { rootFolderId, startPageToken, failedFolders }
+     */
+    async saveChangesState(filename, state) {
+        await this.saveResults({
+            ...state,
+            savedAt: new Date().toISOString()
+        }, changesStateFilename(filename));
+    }
+
     /**
      * Save scan results to a JSON file
      * @param {Object} results - Scan results to save
@@ -145,6 +560,48 @@ class GoogleDriveCacheScanner {
         }
     }
 
+    /**
+     * Build the duplicate/ambiguous folder name report for a finished scan
+     * @param {Object} results - Scan results
+     * @returns {Object} Duplicate report
+     */
+    buildDuplicateReport(results) {
+        return {
+            rootFolderId: results.rootFolderId,
+            ...findDuplicateFolderNames(results.folders)
+        };
+    }
+
+    /**
+     * Print the duplicate/ambiguous folder name report
+     * @param {Object} report - Report from buildDuplicateReport
+     */
+    printDuplicateReport(report) {
+        console.log('\n🔁 DUPLICATE FOLDER NAMES');
+        console.log('=========================');
+
+        if (report.duplicateNames === 0 && report.ambiguousNames === 0) {
+            console.log('✅ No duplicate or ambiguous folder names found');
+            return;
+        }
+
+        console.log(`⚠️ ${report.duplicateNames} names used by more than one folder`);
+        report.duplicates.forEach(duplicate => {
+            console.log(`📁 "${duplicate.name}" (${duplicate.count} folders)`);
+            duplicate.folders.forEach(folder => {
+                console.log(`   - ${folder.path}: ${folder.id}`);
+            });
+        });
+
+        console.log(`⚠️ ${report.ambiguousNames} names that differ only by case or whitespace`);
+        report.ambiguous.forEach(entry => {
+            console.log(`📁 ${entry.variants.map(variant => `"${variant}"`).join(' / ')}`);
+            entry.folders.forEach(folder => {
+                console.log(`   - ${folder.path}: ${folder.id}`);
+            });
+        });
+    }
+
     /**
      * Print a summary of the scan results
      * @param {Object} results - Scan results
@@ -152,21 +609,57 @@ class GoogleDriveCacheScanner {
     printSummary(results) {
         console.log('\n📋 SCAN SUMMARY');
         console.log('================');
-        console.log(`Folders Found: ${Object.keys(results).length}`);
+        console.log(`Folders Found: ${results.folders.length}`);
         
-        this.printFolderSummary(results, 0);
+        this.printFolderSummary(results.folders, 0);
+
+        if (results.scanStats && results.scanStats.mode === 'incremental') {
+            this.printChangesSummary(results.scanStats);
+        } else if (results.scanStats) {
+            this.printPageSummary(results.scanStats);
+        }
     }
 
     /**
-     * Recursively print folder summary
-     * @param {Object} folders - Folders object
-     * @param {number} indent - Indentation level
+     * Print what an incremental scan changed
+     * @param {Object} scanStats - Scan statistics from applyDriveChanges
+     */
+    printChangesSummary(scanStats) {
+        console.log('\n🔄 INCREMENTAL SCAN SUMMARY');
+        console.log('===========================');
+        console.log(`Changes Fetched: ${scanStats.changesFetched} (${scanStats.pagesFetched} pages)`);
+        console.log(`Added: ${scanStats.added}`);
+        console.log(`Renamed: ${scanStats.renamed}`);
+        console.log(`Moved: ${scanStats.moved}`);
+        console.log(`Removed: ${scanStats.removed}`);
+    }
+
+    /**
+     * Print how many pages and items were fetched for each listed folder
+     * @param {Object} scanStats - Scan statistics from scanParentFolder
+     */
+    printPageSummary(scanStats) {
+        console.log('\n📄 PAGINATION SUMMARY');
+        console.log('=====================');
+        console.log(`Folders Listed: ${scanStats.foldersListed}`);
+        console.log(`Pages Fetched: ${scanStats.pagesFetched}`);
+        console.log(`Items Fetched: ${scanStats.itemsFetched}`);
+
+        scanStats.folders.forEach(stat => {
+            const indentStr = '  '.repeat(stat.depth);
+            console.log(`${indentStr}📂 ${stat.path}: ${stat.items} items in ${stat.pages} page${stat.pages === 1 ? '' : 's'}`);
+        });
+    }
+
+    /**
+     * Print folder summary, indented by folder depth
+     * @param {Array<Object>} folders - Folder entries
+     * @param {number} indent - Base indentation level
      */
     printFolderSummary(folders, indent = 0) {
-        const indentStr = '  '.repeat(indent);
-        
-        Object.entries(folders).forEach(([folderName, folderId]) => {
-            console.log(`${indentStr}📁 ${folderName}: ${folderId}`);
+        folders.forEach(folder => {
+            const indentStr = '  '.repeat(indent + (folder.depth || 0));
+            console.log(`${indentStr}📁 ${folder.name}: ${folder.id}`);
         });
     }
 
@@ -176,46 +669,93 @@ class GoogleDriveCacheScanner {
     clearCache() {
         this.cache.clear();
         this.scannedFolders.clear();
+        this.folderNames.clear();
+        this.folderStats = [];
+        this.failedFolders = [];
         console.log('🗑️ Cache cleared');
     }
 }
 
+/**
+ * Scan the Drive folder and save the results, the Drive changes token and scan_duplicates.json
+ * @param {Object} options
+ * @param {number} options.maxDepth - Maximum depth to scan (Infinity for unlimited)
+ * @param {boolean} options.full - Ignore the previous results and rescan everything
+ * @param {AbortSignal} options.signal - Cancels the scan
+ */
+async function runScan({ maxDepth = resolveMaxDepth([]), full = false, signal = null } = {}) {
+    const scanner = new GoogleDriveCacheScanner({ maxDepth, signal });
+
+    // Initialize the scanner
+    const initialized = await scanner.initialize();
+    if (!initialized) {
+        throw new Error('Failed to initialize Google Drive API');
+    }
+
+    // Get parent folder ID from environment variables
+    const parentFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID || process.env.FOLDER_ID;
+    if (!parentFolderId) {
+        console.log('❌ Please set the GOOGLE_DRIVE_FOLDER_ID or FOLDER_ID environment variable');
+        console.log('Usage: Set environment variable in .env file or export it:');
+        console.log('  export GOOGLE_DRIVE_FOLDER_ID="1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms"');
+        console.log('  node cache.js');
+        console.log('');
+        console.log('Or create a .env file with:');
+        console.log('  GOOGLE_DRIVE_FOLDER_ID=1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
+        throw new Error('GOOGLE_DRIVE_FOLDER_ID or FOLDER_ID is not set');
+    }
+
+    // Scan the parent folder, replaying Drive changes since the last run unless full is set
+    const outputFilename = process.env.OUTPUT_FILENAME || 'scan_results.json';
+    const { results, startPageToken } = await scanner.scanWithChanges(parentFolderId, {
+        previousResults: full ? null : scanner.loadPreviousResults(outputFilename),
+        changesState: full ? null : scanner.loadChangesState(outputFilename),
+        full
+    });
+    
+    // Print summary
+    scanner.printSummary(results);
+
+    // Nothing is saved once the job has been cancelled
+    scanner.throwIfCancelled();
+    
+    // Save results to file, with the changes token next to it for the next incremental run.
+    // Folders that could not be listed are missing from the results and the changes feed
+    // would never bring them back, so they are saved with the token and listed again next run.
+    const failedFolders = scanner.failedFolders.map(({ folderId, depth }) => ({ folderId, depth }));
+    await scanner.saveResults(results, outputFilename);
+    await scanner.saveChangesState(outputFilename, {
+        rootFolderId: parentFolderId,
+        startPageToken,
+        failedFolders
+    });
+    if (failedFolders.length > 0) {
+        console.log(`⚠️ ${failedFolders.length} folder${failedFolders.length === 1 ? '' : 's'} could not be listed, so the results are incomplete (see scanStats.failedFolders). The next scan lists ${failedFolders.length === 1 ? 'it' : 'them'} again.`);
+    }
+
+    // Report folder names that can't be told apart by name alone
+    const duplicateReport = scanner.buildDuplicateReport(results);
+    scanner.printDuplicateReport(duplicateReport);
+    await scanner.saveResults(duplicateReport, 'scan_duplicates.json');
+    
+    console.log('\n✅ Scan completed successfully!');
+    return results;
+}
+
 // Main execution function
 async function main() {
-    const scanner = new GoogleDriveCacheScanner();
-    
+    let maxDepth;
     try {
-        // Initialize the scanner
-        const initialized = await scanner.initialize();
-        if (!initialized) {
-            process.exit(1);
-        }
-
-        // Get parent folder ID from environment variables
-        const parentFolderId = process.env.GOOGLE_DRIVE_FOLDER_ID || process.env.FOLDER_ID;
-        if (!parentFolderId) {
-            console.log('❌ Please set the GOOGLE_DRIVE_FOLDER_ID or FOLDER_ID environment variable');
-            console.log('Usage: Set environment variable in .env file or export it:');
-            console.log('  export GOOGLE_DRIVE_FOLDER_ID="1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms"');
-            console.log('  node cache.js');
-            console.log('');
-            console.log('Or create a .env file with:');
-            console.log('  GOOGLE_DRIVE_FOLDER_ID=1BxiMVs0XRA5nFMdKvBdBZjgmUUqptlbs74OgvE2upms');
-            process.exit(1);
-        }
-
-        // Scan the parent folder
-        const results = await scanner.scanParentFolder(parentFolderId);
-        
-        // Print summary
-        scanner.printSummary(results);
-        
-        // Save results to file
-        const outputFilename = process.env.OUTPUT_FILENAME || 'scan_results.json';
-        await scanner.saveResults(results, outputFilename);
-        
-        console.log('\n✅ Scan completed successfully!');
+        maxDepth = resolveMaxDepth(process.argv.slice(2));
+    } catch (error) {
+        console.error(`❌ ${error.message}`);
+        console.log('Usage: node scan_folder.js [--depth <number|unlimited>] [--full]');
+        console.log('  or set SCAN_MAX_DEPTH in your .env file');
+        process.exit(1);
+    }
 
+    try {
+        await runScan({ maxDepth, full: process.argv.includes('--full') });
     } catch (error) {
         console.error('❌ Fatal error:', error.message);
         process.exit(1);
@@ -224,6 +764,9 @@ async function main() {
 
 // Export the class for use in other modules
 module.exports = GoogleDriveCacheScanner;
+module.exports.parseMaxDepth = parseMaxDepth;
+module.exports.resolveMaxDepth = resolveMaxDepth;
+module.exports.runScan = runScan;
 
 // Run the script if called directly
 if (require.main === module) {
@@ -0,0 +1,222 @@
+const fs = require('fs');
+const path = require('path');
+
+const SCAN_RESULTS_VERSION = 2;
+const DEFAULT_SCAN_RESULTS_PATH = path.join(__dirname, 'scan_results.json');
+
+/**
+ * Check whether scan data uses the old flat { folderName: folderId } format
+ * @param {Object} data - Parsed scan_results.json contents
+ * @returns {boolean}
+ */
+function isLegacyScanResults(data) {
+    return !!data && typeof data === 'object' && !Array.isArray(data.folders);
+}
+
+/**
+ * Normalize scan data into the hierarchical format.
+ * Legacy flat maps are converted to depth-less entries so callers only handle one shape.
+ * @param {Object} data - Parsed scan_results.json contents
+ * @returns {Object} Scan results with a `folders` array
+ */
+function normalizeScanResults(data) {
+    if (!data || typeof data !== 'object') {
+        return { version: SCAN_RESULTS_VERSION, folders: [] };
+    }
+
+    if (!isLegacyScanResults(data)) {
+        return data;
+    }
+
+    const folders = Object.entries(data).map(([name, id]) => ({
+        id,
+        name,
+        parentId: null,
+        parentChain: [],
+        path: name,
+        depth: null
+    }));
+
+    return {
+        version: 1,
+        rootFolderId: null,
+        scannedAt: null,
+        folders
+    };
+}
+
+/**
+ * Load and normalize scan results from disk
+ * @param {string} filePath - Path to the scan results file
+ * @returns {Object} Normalized scan results
+ */
+function loadScanResults(filePath = DEFAULT_SCAN_RESULTS_PATH) {
+    if (!fs.existsSync(filePath)) {
+        throw new Error(`${path.basename(filePath)} not found. Please run scan_folder.js first.`);
+    }
+
+    const rawData = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return normalizeScanResults(rawData);
+}
+
+/**
+ * Build the legacy flat name→id view of scan results.
+ * Later entries overwrite earlier ones with the same name, exactly like the old format.
+ * @param {Object} data - Scan results in either format
+ * @returns {Object} Map of folder name to folder ID
+ */
+function toFlatFolderMap(data) {
+    const flatMap = {};
+    for (const folder of normalizeScanResults(data).folders) {
+        flatMap[folder.name] = folder.id;
+    }
+    return flatMap;
+}
+
+/**
+ * Build an index of folders keyed by lowercase, whitespace-collapsed name
+ * @param {Array<Object>} folders - Folder entries from normalized scan results
+ * @returns {Map<string, Array<Object>>} Name key to every folder with that name
+ */
+function buildFolderNameIndex(folders) {
+    const index = new Map();
+    for (const folder of folders) {
+        const key = folderNameKey(folder.name);
+        if (!index.has(key)) {
+            index.set(key, []);
+        }
+        index.get(key).push(folder);
+    }
+    return index;
+}
+
+/**
+ * Key used to compare folder names (case and whitespace insensitive)
+ * @param {string} name - Folder or participant name
+ * @returns {string}
+ */
+function folderNameKey(name) {
+    return (name || '').toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Find folder names that are likely to be confused when matching participants.
+ * `duplicates` are names used by more than one folder; `ambiguous` are names that
+ * only differ by case or whitespace.
+ * @param {Array<Object>} folders - Folder entries from normalized scan results
+ * @returns {Object} Duplicate report
+ */
+function findDuplicateFolderNames(folders) {
+    const byExactName = new Map();
+    for (const folder of folders) {
+        if (!byExactName.has(folder.name)) {
+            byExactName.set(folder.name, []);
+        }
+        byExactName.get(folder.name).push(folder);
+    }
+
+    const describe = folder => ({ id: folder.id, name: folder.name, path: folder.path });
+
+    const duplicates = [];
+    for (const [name, matches] of byExactName) {
+        if (matches.length > 1) {
+            duplicates.push({ name, count: matches.length, folders: matches.map(describe) });
+        }
+    }
+
+    const ambiguous = [];
+    for (const [key, matches] of buildFolderNameIndex(folders)) {
+        const variants = [...new Set(matches.map(folder => folder.name))];
+        if (variants.length > 1) {
+            ambiguous.push({ key, variants, count: matches.length, folders: matches.map(describe) });
+        }
+    }
+
+    return {
+        generatedAt: new Date().toISOString(),
+        totalFolders: folders.length,
+        duplicateNames: duplicates.length,
+        ambiguousNames: ambiguous.length,
+        duplicates,
+        ambiguous
+    };
+}
+
+/**
+ * Recompute parent chains, paths and depths from each folder's parentId.
+ * Folders whose parent is no longer in the tree, or that end up deeper than
+ * maxDepth, are dropped.
+ * @param {Array<Object>} folders - Folder entries ({ id, name, parentId } at minimum)
+ * @param {string} rootFolderId - ID of the scanned parent folder
+ * @param {number} maxDepth - Maximum depth (Infinity for unlimited)
+ * @returns {Array<Object>} Folder entries with parentChain, path and depth filled in
+ */
+function rebuildFolderHierarchy(folders, rootFolderId, maxDepth = Infinity) {
+    const foldersById = new Map(folders.map(folder => [folder.id, folder]));
+    const resolved = new Map();
+    const visiting = new Set();
+
+    const resolve = (folder) => {
+        if (resolved.has(folder.id)) {
+            return resolved.get(folder.id);
+        }
+        // Guard against parent cycles
+        if (visiting.has(folder.id)) {
+            return null;
+        }
+        visiting.add(folder.id);
+
+        let entry = null;
+        if (folder.parentId === rootFolderId) {
+            entry = { ...folder, parentChain: [rootFolderId], path: folder.name, depth: 0 };
+        } else if (foldersById.has(folder.parentId)) {
+            const parent = resolve(foldersById.get(folder.parentId));
+            if (parent) {
+                entry = {
+                    ...folder,
+                    parentChain: [...parent.parentChain, parent.id],
+                    path: `${parent.path}/${folder.name}`,
+                    depth: parent.depth + 1
+                };
+            }
+        }
+
+        visiting.delete(folder.id);
+        resolved.set(folder.id, entry);
+        return entry;
+    };
+
+    return folders
+        .map(resolve)
+        .filter(entry => entry && entry.depth <= maxDepth);
+}
+
+/**
+ * Extract a Drive folder ID from a sheet cell. Accepts a bare ID or a
+ * drive.google.com folder/open link.
+ * @param {string} value - Cell contents
+ * @returns {string} Folder ID, or '' when the cell is empty
+ */
+function extractDriveFolderId(value) {
+    const text = (value || '').toString().trim();
+    if (!text) {
+        return '';
+    }
+
+    const urlMatch = text.match(/\/folders\/([\w-]+)/) || text.match(/[?&]id=([\w-]+)/);
+    return urlMatch ? urlMatch[1] : text;
+}
+
+module.exports = {
+    SCAN_RESULTS_VERSION,
+    DEFAULT_SCAN_RESULTS_PATH,
+    isLegacyScanResults,
+    normalizeScanResults,
+    loadScanResults,
+    toFlatFolderMap,
+    buildFolderNameIndex,
+    folderNameKey,
+    findDuplicateFolderNames,
+    rebuildFolderHierarchy,
+    extractDriveFolderId
+};
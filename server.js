@@ -1,9 +1,30 @@
 const express = require('express');
 const path = require('path');
 const fs = require('fs');
-const { exec, spawn } = require('child_process');
 const { Server } = require('socket.io');
 const http = require('http');
+const { normalizeScanResults, loadScanResults } = require('./scan_results');
+const { FolderMatcher, resolveMatchThreshold } = require('./folder_matcher');
+const {
+    participantKey,
+    loadMatchOverrides,
+    saveMatchOverrides,
+    setMatchOverride,
+    removeMatchOverride
+} = require('./match_overrides');
+const { loadShareLedger, summarizeRuns } = require('./share_ledger');
+const { loadBatchConfig, validateBatchConfig, validateBatchValue, batchEnv } = require('./batch_config');
+const { resolveRetryPolicy } = require('./retry_policy');
+const { resolveRateLimit } = require('./rate_limiter');
+const { resolveShareOptions } = require('./share_options');
+const { SHARE_EVENT_TYPES, isShareEvent, ShareEventChannel } = require('./share_events');
+const { JobManager, JOB_STATES } = require('./job_manager');
+const { ShareJournal } = require('./share_journal');
+const { runScan } = require('./scan_folder');
+const { runCache } = require('./cache_peserta');
+const { runAudit } = require('./audit_permissions');
+const BatchShareMonitor = require('./monitor_share');
+const { runShare, runRevoke, resolveRevokeSelection } = BatchShareMonitor;
 require('dotenv').config();
 
 const app = express();
@@ -14,14 +35,29 @@ const io = new Server(server);
 app.use(express.json());
 app.use(express.static('public'));
 
-// Store active processes
-const activeProcesses = new Map();
+// Scan, cache, share, revoke and audit run as jobs in this process (see job_manager.js)
+const jobs = new JobManager();
 
 // Helper function to check file existence
 function fileExists(filePath) {
     return fs.existsSync(filePath);
 }
 
+/**
+ * Format a value for a .env line. Values with spaces, #, quotes or newlines are quoted
+ * with a quote character they don't contain; dotenv keeps quoted values as they are,
+ * across lines too. Double quotes come last because dotenv expands \n inside them.
+ * @returns {string|null} Null when the value contains every quote character
+ */
+function formatEnvValue(value) {
+    const text = String(value);
+    if (/^[\w.,:/@+-]*$/.test(text)) {
+        return text;
+    }
+    const quote = ["'", '`', '"'].find(q => !text.includes(q));
+    return quote ? `${quote}${text}${quote}` : null;
+}
+
 // Helper function to get file stats
 function getFileStats(filePath) {
     if (!fileExists(filePath)) return null;
@@ -33,6 +69,26 @@ function getFileStats(filePath) {
     };
 }
 
+// Issue types an operator can resolve from the review queue
+const REVIEWABLE_ISSUES = ['NO_FOLDER', 'LOW_CONFIDENCE', 'DUPLICATE_FOLDER'];
+
+// Folder matcher for the review queue, rebuilt whenever scan_results.json changes
+let reviewMatcherCache = { mtimeMs: null, threshold: null, matcher: null };
+
+function getReviewMatcher() {
+    const stats = fs.statSync('./scan_results.json');
+    const threshold = resolveMatchThreshold();
+    if (reviewMatcherCache.mtimeMs !== stats.mtimeMs || reviewMatcherCache.threshold !== threshold) {
+        const scanData = loadScanResults('./scan_results.json');
+        reviewMatcherCache = {
+            mtimeMs: stats.mtimeMs,
+            threshold,
+            matcher: new FolderMatcher(scanData.folders, { threshold })
+        };
+    }
+    return reviewMatcherCache.matcher;
+}
+
 // API: Get system status
 app.get('/api/status', (req, res) => {
     const status = {
@@ -55,7 +111,7 @@ app.get('/api/status', (req, res) => {
             exists: fileExists('./monitor_share_history.json'),
             stats: getFileStats('./monitor_share_history.json')
         },
-        activeProcesses: Array.from(activeProcesses.keys()),
+        activeProcesses: jobs.list({ state: JOB_STATES.RUNNING }).map(job => job.type),
         environment: {
             hasSheetId: !!process.env.GOOGLE_SHEET_ID,
             hasWorksheet: !!process.env.WORKSHEET_NAME,
@@ -67,10 +123,11 @@ app.get('/api/status', (req, res) => {
     // Load data if files exist
     try {
         if (status.scanResults.exists) {
-            const scanData = JSON.parse(fs.readFileSync('./scan_results.json', 'utf8'));
+            const scanData = normalizeScanResults(JSON.parse(fs.readFileSync('./scan_results.json', 'utf8')));
             status.scanResults.data = {
-                totalFolders: Object.keys(scanData).length,
-                folders: Object.keys(scanData).slice(0, 10) // First 10 folders
+                totalFolders: scanData.folders.length,
+                folders: scanData.folders.slice(0, 10).map(folder => folder.path), // First 10 folders
+                format: scanData.version
             };
         }
     } catch (e) {}
@@ -97,23 +154,83 @@ app.get('/api/status', (req, res) => {
     res.json(status);
 });
 
+// Current processing settings; invalid values are shown as they are so they can be fixed
+function batchConfigValue(name, key) {
+    if (process.env[name]) return process.env[name];
+    try {
+        return String(loadBatchConfig()[key]);
+    } catch (error) {
+        return '';
+    }
+}
+
+// Resolved retry or rate limit setting, as the next run will use it; an invalid value
+// is shown as it is so it can be fixed
+function resolvedSettingValue(name, resolve, key) {
+    try {
+        return String(resolve()[key]);
+    } catch (error) {
+        return batchEnv()[name] || '';
+    }
+}
+
 // API: Get configuration
 app.get('/api/config', (req, res) => {
     res.json({
         GOOGLE_SHEET_ID: process.env.GOOGLE_SHEET_ID || '',
         WORKSHEET_NAME: process.env.WORKSHEET_NAME || '',
         FOLDER_ID: process.env.FOLDER_ID || '',
-        WORKER_COUNT: process.env.WORKER_COUNT || '4',
-        BATCH_SIZE: process.env.BATCH_SIZE || '10',
-        OUTPUT_FILENAME: process.env.OUTPUT_FILENAME || 'scan_results.json'
+        WORKER_COUNT: batchConfigValue('WORKER_COUNT', 'workerCount'),
+        BATCH_SIZE: batchConfigValue('BATCH_SIZE', 'batchSize'),
+        API_DELAY: batchConfigValue('API_DELAY', 'apiDelay'),
+        SHEET_FLUSH_SIZE: batchConfigValue('SHEET_FLUSH_SIZE', 'sheetFlushSize'),
+        SHEET_FLUSH_INTERVAL: batchConfigValue('SHEET_FLUSH_INTERVAL', 'sheetFlushInterval'),
+        RETRY_MAX_ATTEMPTS: resolvedSettingValue('RETRY_MAX_ATTEMPTS', resolveRetryPolicy, 'maxAttempts'),
+        RETRY_BASE_DELAY: resolvedSettingValue('RETRY_BASE_DELAY', resolveRetryPolicy, 'baseDelay'),
+        RETRY_MAX_DELAY: resolvedSettingValue('RETRY_MAX_DELAY', resolveRetryPolicy, 'maxDelay'),
+        RATE_LIMIT_RPS: resolvedSettingValue('RATE_LIMIT_RPS', resolveRateLimit, 'rate'),
+        RATE_LIMIT_BURST: resolvedSettingValue('RATE_LIMIT_BURST', resolveRateLimit, 'burst'),
+        RATE_LIMIT_MIN_RPS: resolvedSettingValue('RATE_LIMIT_MIN_RPS', resolveRateLimit, 'minRate'),
+        OUTPUT_FILENAME: process.env.OUTPUT_FILENAME || 'scan_results.json',
+        SCAN_MAX_DEPTH: process.env.SCAN_MAX_DEPTH || '2',
+        MATCH_THRESHOLD: process.env.MATCH_THRESHOLD || '0.9',
+        DUPLICATE_POLICY: process.env.DUPLICATE_POLICY || 'flag',
+        WRITE_FOLDER_URL: process.env.WRITE_FOLDER_URL || 'false',
+        SHARE_ROLE: process.env.SHARE_ROLE || 'reader',
+        SHARE_SEND_NOTIFICATION: process.env.SHARE_SEND_NOTIFICATION || 'false',
+        SHARE_MESSAGE: process.env.SHARE_MESSAGE || '',
+        SHARE_CHECK_EXISTING: process.env.SHARE_CHECK_EXISTING || 'true',
+        SHARE_RECIPIENT_RULE: process.env.SHARE_RECIPIENT_RULE || 'all',
+        COLUMN_NAMA: process.env.COLUMN_NAMA || '',
+        COLUMN_EMAIL: process.env.COLUMN_EMAIL || '',
+        COLUMN_FOLDER_ID: process.env.COLUMN_FOLDER_ID || '',
+        COLUMN_IS_SHARED: process.env.COLUMN_IS_SHARED || '',
+        COLUMN_LAST_LOG: process.env.COLUMN_LAST_LOG || '',
+        COLUMN_TIMESTAMP: process.env.COLUMN_TIMESTAMP || '',
+        COLUMN_EXTRA_EMAILS: process.env.COLUMN_EXTRA_EMAILS || ''
     });
 });
 
 // API: Update configuration
 app.post('/api/config', (req, res) => {
     const config = req.body;
+    const { errors } = validateBatchConfig(config);
+    if (errors.length > 0) {
+        return res.status(400).json({ error: errors.join('; '), details: errors });
+    }
+
+    const invalidKeys = Object.keys(config).filter(key => !/^[A-Za-z_][A-Za-z0-9_]*$/.test(key));
+    const unquotable = Object.keys(config).filter(key => formatEnvValue(config[key]) === null);
+    const envErrors = [
+        ...invalidKeys.map(key => `"${key}" is not a valid setting name`),
+        ...unquotable.map(key => `${key} cannot contain ', " and \` together`)
+    ];
+    if (envErrors.length > 0) {
+        return res.status(400).json({ error: envErrors.join('; '), details: envErrors });
+    }
+
     const envContent = Object.entries(config)
-        .map(([key, value]) => `${key}=${value}`)
+        .map(([key, value]) => `${key}=${formatEnvValue(value)}`)
         .join('\n');
     
     fs.writeFileSync('.env', envContent);
@@ -124,349 +241,325 @@ app.post('/api/config', (req, res) => {
     res.json({ success: true, message: 'Configuration updated' });
 });
 
-// API: Run scan process
-app.post('/api/scan', (req, res) => {
-    if (activeProcesses.has('scan')) {
-        return res.status(400).json({ error: 'Scan process already running' });
-    }
+/**
+ * Forward events from a share run to the dashboard's WebSocket events
+ */
+function createShareEventForwarder() {
+    let lastEventSeq = 0;
 
-    const scanProcess = spawn('node', ['scan_folder.js']);
-    activeProcesses.set('scan', scanProcess);
+    return (message) => {
+        if (!isShareEvent(message)) {
+            console.warn('⚠️ Ignoring unknown share event:', message && message.type, 'version', message && message.v);
+            return;
+        }
+        if (message.seq !== lastEventSeq + 1) {
+            console.warn(`⚠️ Share events out of order: expected ${lastEventSeq + 1}, got ${message.seq}`);
+        }
+        lastEventSeq = message.seq;
 
-    scanProcess.stdout.on('data', (data) => {
-        io.emit('scan:output', data.toString());
-    });
+        const { type, data } = message;
+        const timestamp = Date.parse(message.ts) || Date.now();
 
-    scanProcess.stderr.on('data', (data) => {
-        io.emit('scan:error', data.toString());
-    });
+        switch (type) {
+            case SHARE_EVENT_TYPES.RUN_STARTED:
+                io.emit('share:progress', {
+                    processed: 0,
+                    total: data.total,
+                    successful: 0,
+                    failed: 0,
+                    activeWorkers: 0,
+                    workerCount: data.workerCount,
+                    timestamp
+                });
+                break;
+
+            case SHARE_EVENT_TYPES.PROGRESS:
+                io.emit('share:speed', { ...data, timestamp });
+                io.emit('share:progress', {
+                    processed: data.processed,
+                    total: data.total,
+                    successful: data.successful,
+                    failed: data.failed,
+                    activeWorkers: data.activeWorkers,
+                    workerCount: data.workerCount,
+                    timestamp
+                });
+                break;
+
+            case SHARE_EVENT_TYPES.WORKER_STATUS:
+                io.emit('share:workerStatus', {
+                    workerId: data.workerId,
+                    status: data.status,
+                    task: data.participant || undefined,
+                    timestamp
+                });
+                break;
+
+            case SHARE_EVENT_TYPES.RESULTS:
+                io.emit('results:update', data);
+                break;
 
-    scanProcess.on('close', (code) => {
-        activeProcesses.delete('scan');
-        io.emit('scan:complete', { code });
-        if (code === 0) {
-            io.emit('status:update');
+            case SHARE_EVENT_TYPES.DASHBOARD:
+                io.emit('dashboard:update', { ...data, timestamp: message.ts });
+                break;
+
+            case SHARE_EVENT_TYPES.RUN_FINISHED:
+                io.emit('share:speed', { speed: data.speed, unit: 'second', timestamp });
+                break;
+
+            default:
+                console.warn(`⚠️ Unhandled share event type: ${type}`);
         }
-    });
+    };
+}
 
-    res.json({ success: true, message: 'Scan process started' });
+jobs.register('scan', {
+    run: (job, { signal }) => runScan({ full: !!job.params.full, signal })
 });
 
-// API: Run cache process
-app.post('/api/cache', (req, res) => {
-    if (activeProcesses.has('cache')) {
-        return res.status(400).json({ error: 'Cache process already running' });
-    }
+// A single Sheets read; nothing to stop part way
+jobs.register('cache', {
+    run: () => runCache(),
+    conflicts: ['share'],
+    cancellable: false
+});
 
-    const cacheProcess = spawn('node', ['cache_peserta.js']);
-    activeProcesses.set('cache', cacheProcess);
+jobs.register('share', {
+    run: (job, { signal }) => {
+        const monitor = new BatchShareMonitor(loadBatchConfig());
+        monitor.events = ShareEventChannel.local(createShareEventForwarder());
+        job.handle = monitor;
+        return runShare(monitor, { signal, argv: job.params.argv || [] }).finally(() => monitor.journal.close());
+    },
+    conflicts: ['revoke', 'cache'],
+    pause: (job) => job.handle.pause(),
+    resume: (job) => job.handle.resume()
+});
 
-    cacheProcess.stdout.on('data', (data) => {
-        io.emit('cache:output', data.toString());
-    });
+jobs.register('revoke', {
+    run: (job, { signal }) => {
+        const monitor = new BatchShareMonitor(loadBatchConfig());
+        return runRevoke(monitor, resolveRevokeSelection(job.params.argv || []), { signal });
+    },
+    conflicts: ['share']
+});
 
-    cacheProcess.stderr.on('data', (data) => {
-        io.emit('cache:error', data.toString());
-    });
+jobs.register('audit', {
+    run: (job, { signal }) => runAudit({ signal })
+});
 
-    cacheProcess.on('close', (code) => {
-        activeProcesses.delete('cache');
-        io.emit('cache:complete', { code });
-        if (code === 0) {
-            io.emit('status:update');
-        }
-    });
+// Job output keeps the <type>:output / <type>:error / <type>:complete events the dashboard listens to
+jobs.on('output', (job, stream, text) => {
+    io.emit(`${job.type}:${stream === 'stderr' ? 'error' : 'output'}`, `${text}\n`);
+});
+
+jobs.on('state', (job) => {
+    io.emit('job:update', job);
+    if (job.active) {
+        return;
+    }
 
-    res.json({ success: true, message: 'Cache process started' });
+    const code = job.state === JOB_STATES.DONE ? 0 : 1;
+    io.emit(`${job.type}:complete`, { code, jobId: job.id, state: job.state, error: job.error });
+    if (code === 0 && job.type !== 'audit') {
+        io.emit('status:update');
+    }
 });
 
-// API: Run share process
-app.post('/api/share', (req, res) => {
-    if (activeProcesses.has('share')) {
-        return res.status(400).json({ error: 'Share process already running' });
-    }
-
-    const shareProcess = spawn('node', ['monitor_share.js']);
-    activeProcesses.set('share', shareProcess);
-
-    // Buffer stdout so we only parse complete monitor_share lines (avoids partial JSON).
-    let shareStdoutBuffer = '';
-    const shareState = {
-        processed: 0,
-        total: 0,
-        successful: 0,
-        failed: 0,
-        activeWorkers: 0,
-        workerCount: 0
-    };
+jobs.load();
 
-    const handleShareLine = (rawLine) => {
-        const line = rawLine.replace(/\r$/, '');
-        if (!line.trim()) {
-            return;
-        }
+/**
+ * Start a job of `type` unless one is already queued or running
+ */
+function startJob(res, type, params, label) {
+    const active = jobs.findActive(type);
+    if (active) {
+        return res.status(400).json({ error: `${label} process already ${active.state}`, job: active });
+    }
 
-        let progressUpdated = false;
+    const job = jobs.create(type, params);
+    const message = job.state === JOB_STATES.QUEUED ?
+        `${label} job queued until the running jobs it conflicts with finish` :
+        `${label} process started`;
+    res.json({ success: true, message, job });
+}
 
-        // Parse PROGRESS: Processed X / Y (Z%)
-        const progressMatch = line.match(/PROGRESS:\s*Processed\s*(\d+)\s*\/\s*(\d+)\s*\(([\d.]+)%\)/i);
-        if (progressMatch) {
-            shareState.processed = parseInt(progressMatch[1]);
-            shareState.total = parseInt(progressMatch[2]);
-            progressUpdated = true;
-        }
+// API: Run scan process
+app.post('/api/scan', (req, res) => {
+    // Scans replay Drive changes since the last run; { full: true } forces a complete rescan
+    startJob(res, 'scan', { full: !!(req.body && req.body.full) }, 'Scan');
+});
 
-        // Parse STATUS: X successful, Y failed, Z errors
-        const statusMatch = line.match(/STATUS:\s*(\d+)\s*successful,\s*(\d+)\s*failed,\s*(\d+)\s*errors/i);
-        if (statusMatch) {
-            shareState.successful = parseInt(statusMatch[1]);
-            shareState.failed = parseInt(statusMatch[2]);
-            progressUpdated = true;
-        }
+// API: Run cache process
+app.post('/api/cache', (req, res) => {
+    startJob(res, 'cache', {}, 'Cache');
+});
 
-        // Parse WORKERS: X/Y active, Z in queue
-        const workersMatch = line.match(/WORKERS:\s*(\d+)\/(\d+)\s*active/i);
-        if (workersMatch) {
-            shareState.activeWorkers = parseInt(workersMatch[1]);
-            shareState.workerCount = parseInt(workersMatch[2]);
-            progressUpdated = true;
+// API: Run share process. Role, notification email, message and recipient rule can be
+// set for this run only ({ role, sendNotification, message, recipientRule }); anything
+// left out comes from .env
+app.post('/api/share', (req, res) => {
+    const { role, sendNotification, message, recipientRule } = req.body || {};
+    const argv = [];
+    if (role) {
+        argv.push('--role', String(role));
+    }
+    if (sendNotification !== undefined && sendNotification !== null && sendNotification !== '') {
+        const notify = String(sendNotification).toLowerCase();
+        if (!['true', 'false'].includes(notify)) {
+            return res.status(400).json({ error: `Invalid sendNotification "${sendNotification}". Use true or false` });
         }
+        argv.push(notify === 'true' ? '--notify' : '--no-notify');
+    }
+    if (typeof message === 'string' && message.trim()) {
+        argv.push(`--message=${message}`);
+    }
+    if (recipientRule) {
+        argv.push('--recipient-rule', String(recipientRule));
+    }
 
-        // Parse SPEED: X per second, ETA: Y
-        const speedMatch = line.match(/SPEED:\s*([\d.]+)\s*per\s*second/i);
-        if (speedMatch) {
-            io.emit('share:speed', {
-                speed: parseFloat(speedMatch[1]),
-                unit: 'second',
-                timestamp: Date.now()
-            });
-        }
+    try {
+        resolveShareOptions(argv);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        // Parse SPEED_UPDATE JSON format
-        const speedUpdateMatch = line.match(/SPEED_UPDATE:\s*(\{.*\})/i);
-        if (speedUpdateMatch) {
-            try {
-                const speedData = JSON.parse(speedUpdateMatch[1]);
-                if (typeof speedData.processed === 'number') {
-                    shareState.processed = speedData.processed;
-                }
-                if (typeof speedData.total === 'number') {
-                    shareState.total = speedData.total;
-                }
-                if (typeof speedData.successful === 'number') {
-                    shareState.successful = speedData.successful;
-                }
-                if (typeof speedData.failed === 'number') {
-                    shareState.failed = speedData.failed;
-                }
-                if (typeof speedData.activeWorkers === 'number') {
-                    shareState.activeWorkers = speedData.activeWorkers;
-                }
-                if (typeof speedData.workerCount === 'number') {
-                    shareState.workerCount = speedData.workerCount;
-                }
-                io.emit('share:speed', {
-                    speed: speedData.speed,
-                    unit: speedData.unit,
-                    processed: speedData.processed,
-                    total: speedData.total,
-                    successful: speedData.successful,
-                    failed: speedData.failed,
-                    activeWorkers: speedData.activeWorkers,
-                    workerCount: speedData.workerCount,
-                    eta: speedData.eta,
-                    timestamp: Date.now()
-                });
-                // Also emit progress update
-                io.emit('share:progress', {
-                    processed: speedData.processed,
-                    total: speedData.total,
-                    successful: speedData.successful,
-                    failed: speedData.failed,
-                    activeWorkers: speedData.activeWorkers,
-                    workerCount: speedData.workerCount,
-                    timestamp: Date.now()
-                });
-            } catch (e) {
-                console.error('Error parsing speed update:', e);
-            }
-        }
+    startJob(res, 'share', { argv }, 'Share');
+});
 
-        // Parse PROGRESS_START: Total=X, Workers=Y
-        const startMatch = line.match(/PROGRESS_START:\s*Total=(\d+),\s*Workers=(\d+)/i);
-        if (startMatch) {
-            shareState.total = parseInt(startMatch[1]);
-            shareState.workerCount = parseInt(startMatch[2]);
-        }
+// API: Change the worker count of the running share process
+app.post('/api/share/workers', (req, res) => {
+    const job = jobs.findActive('share');
+    if (!job || !job.handle) {
+        return res.status(404).json({ error: 'No share process is running' });
+    }
 
-        // Parse FINAL_STATS
-        const finalMatch = line.match(/FINAL_STATS:\s*Processed=(\d+),\s*Successful=(\d+),\s*Failed=(\d+),\s*Time=(\d+)s,\s*Speed=([\d.]+)\/s/i);
-        if (finalMatch) {
-            shareState.processed = parseInt(finalMatch[1]);
-            shareState.successful = parseInt(finalMatch[2]);
-            shareState.failed = parseInt(finalMatch[3]);
-            const finalSpeed = parseFloat(finalMatch[5]);
-
-            io.emit('share:speed', {
-                speed: finalSpeed,
-                unit: 'second',
-                timestamp: Date.now()
-            });
-            progressUpdated = true;
-        }
+    const count = req.body ? req.body.count : undefined;
+    const error = validateBatchValue('WORKER_COUNT', count === undefined ? '' : count);
+    if (error) {
+        return res.status(400).json({ error });
+    }
 
-        // Parse DASHBOARD_UPDATE for real-time stats
-        // Dashboard payload prints on a single line; grab the whole line to keep nested objects intact.
-        const dashboardMatch = line.match(/DASHBOARD_UPDATE:\s*(\{[^\n]*\})/i);
-        if (dashboardMatch) {
-            try {
-                const dashboardData = JSON.parse(dashboardMatch[1]);
-                io.emit('dashboard:update', dashboardData);
-            } catch (e) {
-                console.error('Error parsing dashboard update:', e);
-            }
-        }
+    job.handle.setWorkerCount(count);
+    res.json({ success: true, message: `Worker count set to ${parseInt(count, 10)}` });
+});
 
-        // Parse RESULTS_UPDATE for detailed issues table
-        // Results updates include nested objects; capture the full line so the JSON stays valid.
-        const resultsMatch = line.match(/RESULTS_UPDATE:\s*(\{[^\n]*\})/i);
-        if (resultsMatch) {
-            try {
-                // Try to parse the JSON
-                const jsonStr = resultsMatch[1];
-                // Validate JSON string first
-                if (jsonStr.length > 100000) { // 100KB limit
-                    throw new Error('JSON data too large');
-                }
-                const resultsData = JSON.parse(jsonStr);
-                io.emit('results:update', resultsData);
-            } catch (e) {
-                console.error('Error parsing results update:', e.message);
-                // Send a safe fallback data
-                io.emit('results:update', {
-                    totalIssues: 0,
-                    noFolder: 0,
-                    emailIssues: 0,
-                    permissionIssues: 0,
-                    detailedIssues: [],
-                    error: 'Data too large to display'
-                });
-            }
-        }
+// API: Share runs recorded in share_ledger.json, for picking what to revoke
+app.get('/api/share-runs', (req, res) => {
+    try {
+        const ledger = loadShareLedger('./share_ledger.json');
+        res.json({ runs: summarizeRuns(ledger), totalShares: ledger.shares.length });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to read share ledger: ${error.message}` });
+    }
+});
 
-        // Parse worker status from new format
-        const workerStatusMatch = line.match(/WORKER_STATUS:\s*Worker\s*(\d+)\s*is\s*now\s*(\w+)/i);
-        if (workerStatusMatch) {
-            io.emit('share:workerStatus', {
-                workerId: parseInt(workerStatusMatch[1]),
-                status: workerStatusMatch[2].toLowerCase(),
-                timestamp: Date.now()
-            });
-        }
+// API: Revoke shares ({ rows: '10-20,25', emails: 'a@x.com,b@y.com', runId })
+app.post('/api/revoke', (req, res) => {
+    const { rows, emails, runId } = req.body || {};
+    const argv = ['--revoke'];
+    if (rows && rows.trim()) {
+        argv.push('--rows', rows.trim());
+    }
+    if (emails && emails.trim()) {
+        argv.push('--emails', emails.trim());
+    }
+    if (runId && runId.trim()) {
+        argv.push('--run', runId.trim());
+    }
 
-        // Parse worker working on specific task
-        const workerWorkingMatch = line.match(/WORKER_STATUS:\s*Worker\s*(\d+)\s*is\s*now\s*working\s*on\s*(.+)/i);
-        if (workerWorkingMatch) {
-            io.emit('share:workerStatus', {
-                workerId: parseInt(workerWorkingMatch[1]),
-                status: 'working',
-                task: workerWorkingMatch[2],
-                timestamp: Date.now()
-            });
-        }
+    try {
+        resolveRevokeSelection(argv);
+    } catch (error) {
+        return res.status(400).json({ error: error.message });
+    }
 
-        // Fallback to old patterns for compatibility
-        if (!progressMatch) {
-            const oldPatterns = [
-                /Processed\s+(\d+)\s*\/\s*(\d+)/i,
-                /Processed\s+(\d+)\s+of\s+(\d+)/i,
-                /Progress:\s*(\d+)\s*\/\s*(\d+)/i,
-                /(\d+)\s*\/\s*(\d+)\s*processed/i
-            ];
-
-            for (const pattern of oldPatterns) {
-                const match = line.match(pattern);
-                if (match) {
-                    shareState.processed = parseInt(match[1]);
-                    shareState.total = parseInt(match[2]);
-                    progressUpdated = true;
-                    break;
-                }
-            }
-        }
+    startJob(res, 'revoke', { argv }, 'Revoke');
+});
 
-        // Emit progress if we have valid data
-        if (progressUpdated && shareState.processed > 0 && shareState.total > 0) {
-            console.log(`DEBUG: Emitting progress - Processed: ${shareState.processed}, Total: ${shareState.total}, Success: ${shareState.successful}, Failed: ${shareState.failed}`);
-            io.emit('share:progress', {
-                processed: shareState.processed,
-                total: shareState.total,
-                successful: shareState.successful,
-                failed: shareState.failed,
-                activeWorkers: shareState.activeWorkers,
-                workerCount: shareState.workerCount,
-                timestamp: Date.now()
-            });
-        }
+// API: Run permission audit
+app.post('/api/audit', (req, res) => {
+    startJob(res, 'audit', {}, 'Audit');
+});
 
-        // Parse individual worker patterns (fallback)
-        if (line.includes('Worker') || line.includes('worker')) {
-            const workerMatch = line.match(/(?:Worker|worker)\s*(\d+):\s*(\w+)/i);
-            if (workerMatch) {
-                io.emit('share:workerStatus', {
-                    workerId: parseInt(workerMatch[1]),
-                    status: workerMatch[2].toLowerCase(),
-                    timestamp: Date.now()
-                });
-            }
-        }
-    };
+// API: List jobs, newest first (?type=share&state=running)
+app.get('/api/jobs', (req, res) => {
+    res.json({ jobs: jobs.list({ type: req.query.type, state: req.query.state }) });
+});
 
-    shareProcess.stdout.on('data', (data) => {
-        const chunk = data.toString();
-        io.emit('share:output', chunk);
+// API: One job with the last lines of its output (?lines=500)
+app.get('/api/jobs/:id', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-        shareStdoutBuffer += chunk;
-        let newlineIndex;
-        while ((newlineIndex = shareStdoutBuffer.indexOf('\n')) !== -1) {
-            const line = shareStdoutBuffer.slice(0, newlineIndex);
-            shareStdoutBuffer = shareStdoutBuffer.slice(newlineIndex + 1);
-            handleShareLine(line);
-        }
-    });
+    const lines = Math.min(parseInt(req.query.lines) || 500, 500);
+    res.json({ job, output: jobs.readOutput(job, lines) });
+});
 
-    shareProcess.stdout.on('end', () => {
-        if (shareStdoutBuffer.trim().length > 0) {
-            handleShareLine(shareStdoutBuffer);
-        }
-        shareStdoutBuffer = '';
-    });
+// API: Full output of a job
+app.get('/api/jobs/:id/output', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
 
-    shareProcess.stderr.on('data', (data) => {
-        io.emit('share:error', data.toString());
-    });
+    const logPath = jobs.logPath(job);
+    if (!fileExists(logPath)) {
+        return res.status(404).json({ error: 'No output recorded for this job' });
+    }
+    res.type('text/plain').sendFile(logPath);
+});
 
-    shareProcess.on('close', (code) => {
-        activeProcesses.delete('share');
-        io.emit('share:complete', { code });
-        if (code === 0) {
-            io.emit('status:update');
-        }
-    });
+// API: Pause a running share job; in-flight tasks finish, queued tasks wait
+app.post('/api/jobs/:id/pause', (req, res) => {
+    try {
+        const job = jobs.pause(req.params.id);
+        res.json({ success: true, message: `Job ${job.id} paused`, job });
+    } catch (error) {
+        res.status(jobs.get(req.params.id) ? 409 : 404).json({ error: error.message });
+    }
+});
 
-    res.json({ success: true, message: 'Share process started' });
+// API: Resume a paused job
+app.post('/api/jobs/:id/resume', (req, res) => {
+    try {
+        const job = jobs.resume(req.params.id);
+        res.json({ success: true, message: `Job ${job.id} resumed`, job });
+    } catch (error) {
+        res.status(jobs.get(req.params.id) ? 409 : 404).json({ error: error.message });
+    }
 });
 
-// API: Stop process
+// API: Cancel a queued or running job. Share and revoke jobs stop gracefully:
+// in-flight tasks finish, then results, history and sheet updates are saved.
+app.post('/api/jobs/:id/cancel', (req, res) => {
+    const job = jobs.get(req.params.id);
+    if (!job) {
+        return res.status(404).json({ error: 'Job not found' });
+    }
+
+    try {
+        jobs.cancel(job.id);
+        res.json({ success: true, message: `Cancelling job ${job.id}`, job });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
+    }
+});
+
+// API: Stop process (cancels the active job of that type)
 app.post('/api/stop/:process', (req, res) => {
-    const processName = req.params.process;
-    if (activeProcesses.has(processName)) {
-        const process = activeProcesses.get(processName);
-        process.kill('SIGTERM');
-        activeProcesses.delete(processName);
-        res.json({ success: true, message: `${processName} process stopped` });
-    } else {
-        res.status(404).json({ error: 'Process not found' });
+    const job = jobs.findActive(req.params.process);
+    if (!job) {
+        return res.status(404).json({ error: 'Process not found' });
+    }
+
+    try {
+        jobs.cancel(job.id);
+        res.json({ success: true, message: `${req.params.process} process stopping`, job });
+    } catch (error) {
+        res.status(409).json({ error: error.message });
     }
 });
 
@@ -477,6 +570,11 @@ app.get('/api/logs/:type', (req, res) => {
         share: './monitor_share_results.json',
         history: './monitor_share_history.json',
         scan: './scan_results.json',
+        duplicates: './scan_duplicates.json',
+        overrides: './match_overrides.json',
+        ledger: './share_ledger.json',
+        revoke: './monitor_revoke_results.json',
+        audit: './permission_audit.json',
         cache: './cache_peserta.json'
     };
 
@@ -493,15 +591,140 @@ app.get('/api/logs/:type', (req, res) => {
     }
 });
 
+// API: Manual match review queue
+app.get('/api/review', (req, res) => {
+    if (!fileExists('./scan_results.json')) {
+        return res.status(404).json({ error: 'scan_results.json not found. Run a scan first.' });
+    }
+
+    try {
+        const matcher = getReviewMatcher();
+        const overridesData = loadMatchOverrides('./match_overrides.json');
+        const shareData = fileExists('./monitor_share_results.json') ?
+            JSON.parse(fs.readFileSync('./monitor_share_results.json', 'utf8')) : {};
+
+        const items = new Map();
+        for (const result of shareData.failedResults || []) {
+            if (!result.participant || !REVIEWABLE_ISSUES.includes(result.issueType)) continue;
+
+            const key = participantKey(result.participant);
+            if (items.has(key)) continue;
+
+            const match = matcher.match(result.participant.nama);
+            items.set(key, {
+                key,
+                participant: {
+                    nama: result.participant.nama,
+                    email: result.participant.email,
+                    row: result.participant.row
+                },
+                issueType: result.issueType,
+                details: result.details || result.error,
+                confidence: match.confidence,
+                candidates: match.candidates,
+                decision: overridesData.overrides[key] || null
+            });
+        }
+
+        // Keep decided participants visible so decisions can be changed or undone
+        for (const override of Object.values(overridesData.overrides)) {
+            if (items.has(override.key)) continue;
+            items.set(override.key, {
+                key: override.key,
+                participant: { nama: override.nama, email: override.email, row: override.row },
+                issueType: null,
+                details: null,
+                confidence: null,
+                candidates: [],
+                decision: override
+            });
+        }
+
+        const list = Array.from(items.values());
+        res.json({
+            total: list.length,
+            pending: list.filter(item => !item.decision).length,
+            threshold: matcher.threshold,
+            items: list
+        });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to build review queue: ${error.message}` });
+    }
+});
+
+// API: Search scanned folders for the review queue
+app.get('/api/review/folders', (req, res) => {
+    if (!fileExists('./scan_results.json')) {
+        return res.status(404).json({ error: 'scan_results.json not found. Run a scan first.' });
+    }
+
+    try {
+        const limit = Math.min(parseInt(req.query.limit) || 20, 100);
+        res.json({ folders: getReviewMatcher().search(req.query.q || '', limit) });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to search folders: ${error.message}` });
+    }
+});
+
+// API: Save a review decision ({ participant, decision: 'FOLDER' | 'NO_FOLDER', folderId })
+app.post('/api/review/decisions', (req, res) => {
+    const { participant, decision, folderId } = req.body || {};
+
+    try {
+        let folder = null;
+        if (decision === 'FOLDER') {
+            const scanData = loadScanResults('./scan_results.json');
+            folder = scanData.folders.find(f => f.id === folderId);
+            if (!folder) {
+                return res.status(400).json({ error: `Folder ${folderId} is not in scan_results.json` });
+            }
+        }
+
+        const overridesData = loadMatchOverrides('./match_overrides.json');
+        const override = setMatchOverride(overridesData, participant, decision, folder);
+        saveMatchOverrides(overridesData, './match_overrides.json');
+
+        res.json({ success: true, decision: override });
+    } catch (error) {
+        res.status(400).json({ error: error.message });
+    }
+});
+
+// API: Undo a review decision
+app.delete('/api/review/decisions/:key', (req, res) => {
+    try {
+        const overridesData = loadMatchOverrides('./match_overrides.json');
+        if (!removeMatchOverride(overridesData, req.params.key)) {
+            return res.status(404).json({ error: 'Decision not found' });
+        }
+        saveMatchOverrides(overridesData, './match_overrides.json');
+        res.json({ success: true, message: 'Decision removed' });
+    } catch (error) {
+        res.status(500).json({ error: `Failed to remove decision: ${error.message}` });
+    }
+});
+
 // API: Clear history
 app.delete('/api/history', (req, res) => {
+    // A share job replays and rewrites both files, so clearing them under it would
+    // either be undone or make it lose track of finished shares
+    const active = jobs.findActive('share');
+    if (active) {
+        return res.status(409).json({ error: `Cannot clear history while the share process is ${active.state}`, job: active });
+    }
+
     const historyFile = './monitor_share_history.json';
+    const journal = new ShareJournal();
+    const found = fileExists(historyFile) || fileExists(journal.filePath);
+    if (!found) {
+        return res.status(404).json({ error: 'History file not found' });
+    }
+
     if (fileExists(historyFile)) {
         fs.unlinkSync(historyFile);
-        res.json({ success: true, message: 'History cleared' });
-    } else {
-        res.status(404).json({ error: 'History file not found' });
     }
+    journal.remove();
+    res.json({ success: true, message: 'History cleared' });
 });
 
 // Socket.io connection handling
@@ -2,11 +2,68 @@ const { parentPort, workerData } = require('worker_threads');
 const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
+const { buildPermissionRequest, findExistingPermission } = require('./share_options');
+const { DEFAULT_RETRY_POLICY, withRetry, sleep } = require('./retry_policy');
+const { classifyError } = require('./error_classifier');
 
 class ShareWorker {
     constructor() {
         this.drive = null;
         this.workerId = workerData.workerId;
+        this.shareOptions = workerData.shareOptions;
+        this.retryPolicy = workerData.retryPolicy || DEFAULT_RETRY_POLICY;
+        this.apiDelay = workerData.apiDelay || 0;
+        this.lastCallAt = 0;
+
+        // Tokens come from the limiter in the main thread, shared by all workers
+        this.pendingTokens = new Map();
+        this.nextTokenRequest = 0;
+    }
+
+    acquireToken() {
+        const requestId = ++this.nextTokenRequest;
+        return new Promise(resolve => {
+            this.pendingTokens.set(requestId, resolve);
+            parentPort.postMessage({ type: 'token', workerId: this.workerId, requestId });
+        });
+    }
+
+    grantToken(requestId) {
+        const resolve = this.pendingTokens.get(requestId);
+        if (resolve) {
+            this.pendingTokens.delete(requestId);
+            resolve();
+        }
+    }
+
+    /**
+     * Make one Drive API call: wait until API_DELAY has passed since this worker's
+     * previous call and for a token from the shared limiter, retry transient
+     * failures, and record failed attempts
+     * @param {string} label - Call name for logs
+     * @param {Function} fn - Async function making the call
+     * @param {Object} task - Task being processed
+     * @param {Array<Object>} attempts - Failed attempts for this task
+     */
+    async callApi(label, fn, task, attempts) {
+        return withRetry(async () => {
+            const wait = this.lastCallAt + this.apiDelay - Date.now();
+            if (wait > 0) {
+                await sleep(wait);
+            }
+            await this.acquireToken();
+            this.lastCallAt = Date.now();
+            return fn();
+        }, this.retryPolicy, {
+            attempts,
+            label,
+            onRetry: record => parentPort.postMessage({
+                type: 'retry',
+                workerId: this.workerId,
+                email: task.email,
+                ...record
+            })
+        });
     }
 
     async initialize() {
@@ -39,48 +96,144 @@ class ShareWorker {
         }
     }
 
-    async shareFolder(task) {
+    /**
+     * List every permission on a folder, following pagination
+     */
+    async listPermissions(task, attempts) {
+        const permissions = [];
+        let pageToken;
+
+        do {
+            const response = await this.callApi('permissions.list', () => this.drive.permissions.list({
+                fileId: task.folderId,
+                pageSize: 100,
+                pageToken,
+                supportsAllDrives: true,
+                fields: 'nextPageToken, permissions(id, type, role, emailAddress, deleted)'
+            }), task, attempts);
+            permissions.push(...(response.data.permissions || []));
+            pageToken = response.data.nextPageToken;
+        } while (pageToken);
+
+        return permissions;
+    }
+
+    /**
+     * Give one address access to the task's folder
+     * @param {Object} task - Task being processed
+     * @param {string} email - Recipient
+     * @param {Object} state - { attempts, permissions: folder permissions once listed }
+     * @returns {Promise<Object>} { email, success, outcome, permissionId } or the classified error
+     */
+    async shareWithRecipient(task, email, state) {
+        const { folderId, participant, match } = task;
+
         try {
-            const { folderId, email, participant } = task;
+            // A rerun after a crash can reach rows whose sheet update never landed
+            if (this.shareOptions.checkExisting !== false) {
+                if (!state.permissions) {
+                    state.permissions = await this.listPermissions(task, state.attempts);
+                }
+                const existing = findExistingPermission(state.permissions, email, this.shareOptions.role);
+                if (existing) {
+                    return {
+                        email,
+                        success: true,
+                        outcome: 'ALREADY_SHARED',
+                        permissionId: existing.id,
+                        existingRole: existing.role
+                    };
+                }
+            }
+
+            const request = buildPermissionRequest(this.shareOptions, {
+                folderId,
+                email,
+                nama: participant.nama,
+                folderName: match ? match.folderName : null
+            });
+            const response = await this.callApi('permissions.create', () => this.drive.permissions.create(request), { ...task, email }, state.attempts);
+            return { email, success: true, outcome: 'SHARED', permissionId: response.data.id };
 
-            const permission = {
-                type: 'user',
-                role: 'reader',
-                emailAddress: email
+        } catch (error) {
+            const { issueType, retryable, hint, reason } = classifyError(error);
+            return {
+                email,
+                success: false,
+                error: error.message,
+                errorCode: error.code || 'UNKNOWN',
+                reason,
+                issueType,
+                retryable,
+                hint
             };
+        }
+    }
 
-            const response = await this.drive.permissions.create({
-                fileId: folderId,
-                resource: permission,
-                sendNotificationEmail: false
-            });
+    /**
+     * Share the folder with every recipient of the task. The participant counts as
+     * shared when all recipients succeed, or at least one with recipientRule "any"
+     * (see share_options.js).
+     */
+    async shareFolder(task) {
+        const state = { attempts: [], permissions: null };
+        const { folderId, participant, match } = task;
+        const emails = task.recipients && task.recipients.length > 0 ? task.recipients : [task.email];
 
+        const recipients = [];
+        for (const email of emails) {
+            recipients.push(await this.shareWithRecipient(task, email, state));
+        }
+
+        const succeeded = recipients.filter(recipient => recipient.success);
+        const shared = this.shareOptions.recipientRule === 'any' ?
+            succeeded.length > 0 : succeeded.length === recipients.length;
+
+        // Invalid addresses the main thread left out are reported with the others
+        recipients.push(...(task.skippedRecipients || []));
+
+        if (shared) {
+            const first = succeeded[0];
             parentPort.postMessage({
                 type: 'success',
                 workerId: this.workerId,
                 result: {
                     success: true,
-                    permissionId: response.data.id,
+                    outcome: succeeded.every(recipient => recipient.outcome === 'ALREADY_SHARED') ? 'ALREADY_SHARED' : 'SHARED',
+                    permissionId: first.permissionId,
+                    existingRole: first.existingRole,
                     folderId,
-                    email,
-                    participant
-                }
-            });
-
-        } catch (error) {
-            parentPort.postMessage({
-                type: 'error',
-                workerId: this.workerId,
-                result: {
-                    success: false,
-                    error: error.message,
-                    errorCode: error.code || 'UNKNOWN',
-                    folderId: task.folderId,
                     email: task.email,
-                    participant: task.participant
+                    participant,
+                    match,
+                    recipients,
+                    attempts: state.attempts
                 }
             });
+            return;
         }
+
+        // The first failed recipient decides the reported error
+        const failed = recipients.find(recipient => !recipient.success);
+        parentPort.postMessage({
+            type: 'error',
+            workerId: this.workerId,
+            result: {
+                success: false,
+                error: failed.error,
+                errorCode: failed.errorCode,
+                reason: failed.reason,
+                issueType: failed.issueType,
+                retryable: failed.retryable,
+                hint: failed.hint,
+                folderId,
+                email: failed.email,
+                participant,
+                match,
+                recipients,
+                attempts: state.attempts
+            }
+        });
     }
 }
 
@@ -95,6 +248,9 @@ parentPort.on('message', async (message) => {
         case 'share':
             await worker.shareFolder(message.task);
             break;
+        case 'token':
+            worker.grantToken(message.requestId);
+            break;
         case 'terminate':
             process.exit(0);
             break;
@@ -0,0 +1,116 @@
+/**
+ * Typed events sent from a share run to the dashboard. server.js runs shares as
+ * jobs in its own process and receives them through a local channel; a script
+ * started with an IPC channel (spawn with stdio 'ipc') sends the same envelopes
+ * over process.send(). Human-readable log output stays on the console.
+ *
+ * Every message is an envelope: { v, seq, type, ts, data }
+ *   v     SHARE_EVENT_VERSION; bumped when a payload changes incompatibly
+ *   seq   increasing number per run, so the receiver can spot gaps
+ *   type  one of SHARE_EVENT_TYPES
+ */
+const SHARE_EVENT_VERSION = 1;
+
+const SHARE_EVENT_TYPES = {
+    // monitor_share.js → server.js
+    RUN_STARTED: 'run.started',         // { runId, total, workerCount }
+    PROGRESS: 'progress',               // { processed, total, successful, failed, errors, activeWorkers, workerCount, queued, paused, speed, eta, rateLimit }
+    WORKER_STATUS: 'worker.status',     // { workerId, status, participant }
+    RESULTS: 'results',                 // issue summary for the results table
+    DASHBOARD: 'dashboard',             // { totalParticipants, unsharedCount, sharedCount, failedCount, folderIssues, successRate }
+    RUN_FINISHED: 'run.finished',       // { processed, successful, failed, alreadyShared, time, speed }
+
+    // parent process → monitor_share.js
+    SET_WORKER_COUNT: 'control.setWorkerCount', // { count }
+    PAUSE: 'control.pause',
+    RESUME: 'control.resume',
+    STOP: 'control.stop'                // finish in-flight tasks, save results and sheet updates
+};
+
+/**
+ * Build an event envelope
+ */
+function createEvent(type, data, seq) {
+    return {
+        v: SHARE_EVENT_VERSION,
+        seq,
+        type,
+        ts: new Date().toISOString(),
+        data
+    };
+}
+
+/**
+ * Event channel for the child process. When the script is not started with an
+ * IPC channel (e.g. run from a terminal) events are dropped and only logs remain.
+ */
+class ShareEventChannel {
+    constructor(proc = process) {
+        this.proc = proc;
+        this.seq = 0;
+    }
+
+    /**
+     * Channel that hands events to a callback in the same process
+     * @param {Function} handler - Called with each event envelope
+     */
+    static local(handler) {
+        const sink = {
+            connected: true,
+            send: handler,
+            on() {},
+            disconnect() {
+                sink.connected = false;
+            }
+        };
+        return new ShareEventChannel(sink);
+    }
+
+    get connected() {
+        return typeof this.proc.send === 'function' && this.proc.connected;
+    }
+
+    emit(type, data) {
+        if (!this.connected) return false;
+        this.proc.send(createEvent(type, data, ++this.seq));
+        return true;
+    }
+
+    /**
+     * Listen for control messages from the parent
+     * @param {Function} handler - Called with (type, data)
+     */
+    onControl(handler) {
+        if (!this.connected) return;
+        this.proc.on('message', (message) => {
+            if (isShareEvent(message)) {
+                handler(message.type, message.data);
+            }
+        });
+    }
+
+    /**
+     * Release the IPC channel so the process can exit on its own
+     */
+    close() {
+        if (this.connected) {
+            this.proc.disconnect();
+        }
+    }
+}
+
+/**
+ * Whether a message is an event this version understands
+ */
+function isShareEvent(message) {
+    return !!message && typeof message === 'object' &&
+        message.v === SHARE_EVENT_VERSION && typeof message.type === 'string';
+}
+
+module.exports = {
+    SHARE_EVENT_VERSION,
+    SHARE_EVENT_TYPES,
+    createEvent,
+    isShareEvent,
+    ShareEventChannel
+};
@@ -0,0 +1,107 @@
+const fs = require('fs');
+const path = require('path');
+
+const SHARE_JOURNAL_PATH = path.join(__dirname, 'monitor_share_journal.jsonl');
+
+/**
+ * Append-only record of share outcomes, one JSON object per line.
+ *
+ * monitor_share.js appends every outcome here before applying it, and the history
+ * snapshot (monitor_share_history.json) stores the `seq` of the last entry it
+ * contains. On startup, entries after that seq are replayed on top of the snapshot,
+ * so a crash loses nothing that was journaled. After each snapshot the journal is
+ * emptied.
+ */
+class ShareJournal {
+    /**
+     * @param {string} filePath - Journal file
+     */
+    constructor(filePath = SHARE_JOURNAL_PATH) {
+        this.filePath = filePath;
+        this.seq = 0;
+        this.fd = null;
+    }
+
+    /**
+     * Read the journal. A line cut off by a crash can only be the last one; it is
+     * skipped along with any other line that is not valid JSON.
+     * @returns {Object} { entries, skipped }
+     */
+    read() {
+        if (!fs.existsSync(this.filePath)) {
+            return { entries: [], skipped: 0 };
+        }
+
+        const entries = [];
+        let skipped = 0;
+        for (const line of fs.readFileSync(this.filePath, 'utf8').split('\n')) {
+            if (!line.trim()) continue;
+            try {
+                entries.push(JSON.parse(line));
+            } catch (error) {
+                skipped++;
+            }
+        }
+
+        entries.forEach(entry => {
+            this.seq = Math.max(this.seq, entry.seq || 0);
+        });
+        return { entries, skipped };
+    }
+
+    /**
+     * Entries written after the snapshot that holds `afterSeq`
+     * @param {number} afterSeq - Journal seq stored in the snapshot
+     * @returns {Object} { entries, skipped }
+     */
+    entriesAfter(afterSeq = 0) {
+        const { entries, skipped } = this.read();
+        this.seq = Math.max(this.seq, afterSeq);
+        return { entries: entries.filter(entry => entry.seq > afterSeq), skipped };
+    }
+
+    /**
+     * Append an entry and flush it to disk before returning
+     * @param {Object} entry - Outcome to record
+     * @returns {Object} The entry with its seq and timestamp
+     */
+    append(entry) {
+        const record = { seq: ++this.seq, at: new Date().toISOString(), ...entry };
+        if (this.fd === null) {
+            this.fd = fs.openSync(this.filePath, 'a');
+        }
+        fs.writeSync(this.fd, `${JSON.stringify(record)}\n`);
+        fs.fsyncSync(this.fd);
+        return record;
+    }
+
+    close() {
+        if (this.fd !== null) {
+            fs.closeSync(this.fd);
+            this.fd = null;
+        }
+    }
+
+    /**
+     * Empty the journal once a snapshot holds all of its entries. `seq` keeps counting.
+     */
+    reset() {
+        this.close();
+        fs.writeFileSync(this.filePath, '');
+    }
+
+    /**
+     * Delete the journal when the run has finished
+     */
+    remove() {
+        this.close();
+        if (fs.existsSync(this.filePath)) {
+            fs.unlinkSync(this.filePath);
+        }
+    }
+}
+
+module.exports = {
+    SHARE_JOURNAL_PATH,
+    ShareJournal
+};
@@ -0,0 +1,188 @@
+const fs = require('fs');
+const path = require('path');
+const { writeJsonAtomic } = require('./atomic_file');
+
+const DEFAULT_SHARE_LEDGER_PATH = path.join(__dirname, 'share_ledger.json');
+
+/**
+ * Run identifier used to group shares and revocations, e.g. "20260829T191822Z"
+ * @param {Date} date - Run start time
+ * @returns {string}
+ */
+function createRunId(date = new Date()) {
+    return date.toISOString().replace(/[-:]/g, '').replace(/\.\d+/, '');
+}
+
+/**
+ * Load the share ledger: every permission created by a share run, so it can be revoked later.
+ * A missing file means nothing has been recorded yet.
+ * @param {string} filePath - Path to the ledger file
+ * @returns {Object} { version, updatedAt, shares: [...] }
+ */
+function loadShareLedger(filePath = DEFAULT_SHARE_LEDGER_PATH) {
+    if (!fs.existsSync(filePath)) {
+        return { version: 1, updatedAt: null, shares: [] };
+    }
+
+    const data = JSON.parse(fs.readFileSync(filePath, 'utf8'));
+    return {
+        version: data.version || 1,
+        updatedAt: data.updatedAt || null,
+        shares: data.shares || []
+    };
+}
+
+/**
+ * Save the share ledger to disk
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @param {string} filePath - Path to the ledger file
+ */
+function saveShareLedger(ledger, filePath = DEFAULT_SHARE_LEDGER_PATH) {
+    ledger.updatedAt = new Date().toISOString();
+    writeJsonAtomic(filePath, ledger);
+}
+
+/**
+ * Record a created permission. Sharing the same folder with the same user again
+ * returns the same permission ID, so the existing entry is refreshed instead.
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @param {Object} share - { runId, participant, email: recipient when not the participant's email,
+ *                         folderId, permissionId, role, sharedAt }
+ * @returns {Object} Ledger entry
+ */
+function recordShare(ledger, share) {
+    const entry = {
+        runId: share.runId,
+        nama: share.participant.nama,
+        email: share.email || share.participant.email,
+        row: share.participant.row,
+        duplicateRows: share.participant.duplicateRows || [],
+        folderId: share.folderId,
+        permissionId: share.permissionId,
+        role: share.role || null,
+        sharedAt: share.sharedAt || new Date().toISOString(),
+        revokedAt: null,
+        revokeRunId: null
+    };
+
+    const index = ledger.shares.findIndex(existing =>
+        existing.folderId === entry.folderId && existing.permissionId === entry.permissionId
+    );
+    if (index === -1) {
+        ledger.shares.push(entry);
+    } else {
+        ledger.shares[index] = entry;
+    }
+    return entry;
+}
+
+/**
+ * Mark a ledger entry as revoked
+ * @param {Object} entry - Ledger entry
+ * @param {string} revokeRunId - Run that revoked it
+ */
+function recordRevocation(entry, revokeRunId) {
+    entry.revokedAt = new Date().toISOString();
+    entry.revokeRunId = revokeRunId;
+    return entry;
+}
+
+/**
+ * Parse a row selection like "10-20,25" into inclusive ranges
+ * @param {string} value - Row selection
+ * @returns {Array<Array<number>>} [[from, to], ...]
+ */
+function parseRowSelection(value) {
+    return value.split(',').map(part => part.trim()).filter(Boolean).map(part => {
+        const match = part.match(/^(\d+)(?:\s*-\s*(\d+))?$/);
+        if (!match) {
+            throw new Error(`Invalid row selection "${part}". Use rows like 12 or ranges like 10-20`);
+        }
+        const from = parseInt(match[1]);
+        const to = match[2] ? parseInt(match[2]) : from;
+        return [Math.min(from, to), Math.max(from, to)];
+    });
+}
+
+/**
+ * Active (not yet revoked) shares matching every given filter
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @param {Object} selection - { rows: [[from, to]], emails: [...], runId }
+ * @returns {Array<Object>} Ledger entries
+ */
+function selectShares(ledger, selection) {
+    const emails = (selection.emails || []).map(email => email.toLowerCase().trim());
+
+    return ledger.shares.filter(entry => {
+        if (entry.revokedAt) return false;
+        if (selection.runId && entry.runId !== selection.runId) return false;
+        if (emails.length > 0 && !emails.includes((entry.email || '').toLowerCase().trim())) return false;
+        // Any row of the participant selects it, including merged duplicate submissions
+        const rows = [entry.row, ...(entry.duplicateRows || [])];
+        if (selection.rows && selection.rows.length > 0 &&
+            !selection.rows.some(([from, to]) => rows.some(row => row >= from && row <= to))) return false;
+        return true;
+    });
+}
+
+/**
+ * Active shares on the same sheet row as an entry, other than the entry itself:
+ * the other recipients of a participant with several emails
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @param {Object} entry - Ledger entry
+ * @returns {Array<Object>}
+ */
+function otherActiveShares(ledger, entry) {
+    return ledger.shares.filter(other => other !== entry && !other.revokedAt && other.row === entry.row);
+}
+
+/**
+ * Addresses of a sheet row whose access was revoked and not shared again
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @param {number} row - Sheet row
+ * @returns {Array<string>} Lowercased emails
+ */
+function revokedEmailsForRow(ledger, row) {
+    const entries = ledger.shares.filter(entry => entry.row === row);
+    const active = new Set(entries.filter(entry => !entry.revokedAt).map(entry => (entry.email || '').toLowerCase().trim()));
+    return [...new Set(entries
+        .filter(entry => entry.revokedAt)
+        .map(entry => (entry.email || '').toLowerCase().trim())
+        .filter(email => email && !active.has(email)))];
+}
+
+/**
+ * Per-run share counts, newest first
+ * @param {Object} ledger - Ledger from loadShareLedger
+ * @returns {Array<Object>} [{ runId, shared, active, revoked }]
+ */
+function summarizeRuns(ledger) {
+    const runs = new Map();
+    for (const entry of ledger.shares) {
+        if (!runs.has(entry.runId)) {
+            runs.set(entry.runId, { runId: entry.runId, shared: 0, active: 0, revoked: 0 });
+        }
+        const run = runs.get(entry.runId);
+        run.shared++;
+        if (entry.revokedAt) {
+            run.revoked++;
+        } else {
+            run.active++;
+        }
+    }
+    return Array.from(runs.values()).sort((a, b) => b.runId.localeCompare(a.runId));
+}
+
+module.exports = {
+    DEFAULT_SHARE_LEDGER_PATH,
+    createRunId,
+    loadShareLedger,
+    saveShareLedger,
+    recordShare,
+    recordRevocation,
+    parseRowSelection,
+    selectShares,
+    otherActiveShares,
+    revokedEmailsForRow,
+    summarizeRuns
+};
@@ -0,0 +1,158 @@
+const SHARE_ROLES = ['reader', 'commenter', 'writer'];
+const DEFAULT_SHARE_ROLE = 'reader';
+
+// When a participant with several emails counts as shared: every address got access, or at least one
+const RECIPIENT_RULES = ['all', 'any'];
+const DEFAULT_RECIPIENT_RULE = 'all';
+
+// Drive roles from least to most access
+const ROLE_RANK = ['reader', 'commenter', 'writer', 'fileOrganizer', 'organizer', 'owner'];
+
+/**
+ * Parse a true/false style flag value
+ */
+function parseBoolean(value, name) {
+    const normalized = String(value).toLowerCase().trim();
+    if (['true', '1', 'yes', 'on'].includes(normalized)) return true;
+    if (['false', '0', 'no', 'off', ''].includes(normalized)) return false;
+    throw new Error(`Invalid ${name} "${value}". Use true or false`);
+}
+
+/**
+ * Read a CLI option given as "--name value" or "--name=value"
+ */
+function readOption(argv, name) {
+    for (let i = 0; i < argv.length; i++) {
+        if (argv[i] === `--${name}`) {
+            return argv[i + 1];
+        }
+        if (argv[i].startsWith(`--${name}=`)) {
+            return argv[i].slice(name.length + 3);
+        }
+    }
+    return undefined;
+}
+
+/**
+ * Resolve how folders are shared for this run. CLI flags take precedence over env:
+ *   --role <reader|commenter|writer>   SHARE_ROLE
+ *   --notify / --no-notify             SHARE_SEND_NOTIFICATION
+ *   --message "<template>"             SHARE_MESSAGE
+ *   --no-check-existing                SHARE_CHECK_EXISTING
+ *   --recipient-rule <all|any>         SHARE_RECIPIENT_RULE
+ * @param {Array<string>} argv - Command line arguments; only the CLI entry points pass process.argv
+ * @param {Object} env - Environment variables
+ * @returns {Object} { role, sendNotificationEmail, messageTemplate, checkExisting, recipientRule }
+ */
+function resolveShareOptions(argv = [], env = process.env) {
+    const role = (readOption(argv, 'role') || env.SHARE_ROLE || DEFAULT_SHARE_ROLE).toLowerCase().trim();
+    if (!SHARE_ROLES.includes(role)) {
+        throw new Error(`Invalid share role "${role}". Use one of: ${SHARE_ROLES.join(', ')}`);
+    }
+
+    let sendNotificationEmail = parseBoolean(env.SHARE_SEND_NOTIFICATION || 'false', 'SHARE_SEND_NOTIFICATION');
+    if (argv.includes('--notify')) sendNotificationEmail = true;
+    if (argv.includes('--no-notify')) sendNotificationEmail = false;
+
+    const messageOption = readOption(argv, 'message');
+    const messageTemplate = (messageOption !== undefined ? messageOption : env.SHARE_MESSAGE || '').trim();
+
+    if (messageTemplate && !sendNotificationEmail) {
+        console.log('⚠️ A share message is set but notification emails are off - the message will not be sent');
+    }
+
+    let checkExisting = parseBoolean(env.SHARE_CHECK_EXISTING || 'true', 'SHARE_CHECK_EXISTING');
+    if (argv.includes('--check-existing')) checkExisting = true;
+    if (argv.includes('--no-check-existing')) checkExisting = false;
+
+    const recipientRule = (readOption(argv, 'recipient-rule') || env.SHARE_RECIPIENT_RULE || DEFAULT_RECIPIENT_RULE).toLowerCase().trim();
+    if (!RECIPIENT_RULES.includes(recipientRule)) {
+        throw new Error(`Invalid recipient rule "${recipientRule}". Use one of: ${RECIPIENT_RULES.join(', ')}`);
+    }
+
+    return { role, sendNotificationEmail, messageTemplate, checkExisting, recipientRule };
+}
+
+/**
+ * Drive folder link
+ */
+function folderUrl(folderId) {
+    return `https://drive.google.com/drive/folders/${folderId}`;
+}
+
+/**
+ * Fill a message template. Supported placeholders: {nama}, {email}, {folderUrl}, {folderName}.
+ * Unknown placeholders are left as they are. A literal "\n" becomes a line break, since
+ * .env values are single-line.
+ * @param {string} template - Message template
+ * @param {Object} values - Placeholder values
+ * @returns {string}
+ */
+function renderShareMessage(template, values) {
+    return template
+        .replace(/\\n/g, '\n')
+        .replace(/\{(\w+)\}/g, (placeholder, key) =>
+            values[key] !== undefined && values[key] !== null ? String(values[key]) : placeholder
+        );
+}
+
+/**
+ * Build the permissions.create request for one participant
+ * @param {Object} options - From resolveShareOptions
+ * @param {Object} share - { folderId, email, nama, folderName }
+ * @returns {Object} Request parameters for drive.permissions.create
+ */
+function buildPermissionRequest(options, share) {
+    const request = {
+        fileId: share.folderId,
+        resource: {
+            type: 'user',
+            role: options.role,
+            emailAddress: share.email
+        },
+        sendNotificationEmail: options.sendNotificationEmail
+    };
+
+    // Drive rejects emailMessage when no notification is sent
+    if (options.sendNotificationEmail && options.messageTemplate) {
+        request.emailMessage = renderShareMessage(options.messageTemplate, {
+            nama: share.nama,
+            email: share.email,
+            folderName: share.folderName,
+            folderUrl: folderUrl(share.folderId)
+        });
+    }
+
+    return request;
+}
+
+/**
+ * Find a permission that already gives an email at least the requested role
+ * @param {Array<Object>} permissions - Permissions from drive.permissions.list
+ * @param {string} email - Participant email
+ * @param {string} role - Role the share run would grant
+ * @returns {Object|null} The existing permission
+ */
+function findExistingPermission(permissions, email, role) {
+    const target = (email || '').toLowerCase().trim();
+    const required = ROLE_RANK.indexOf(role);
+
+    return permissions.find(permission =>
+        permission.type === 'user' &&
+        !permission.deleted &&
+        (permission.emailAddress || '').toLowerCase().trim() === target &&
+        ROLE_RANK.indexOf(permission.role) >= required
+    ) || null;
+}
+
+module.exports = {
+    SHARE_ROLES,
+    DEFAULT_SHARE_ROLE,
+    RECIPIENT_RULES,
+    DEFAULT_RECIPIENT_RULE,
+    resolveShareOptions,
+    renderShareMessage,
+    buildPermissionRequest,
+    findExistingPermission,
+    folderUrl
+};
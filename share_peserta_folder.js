@@ -2,6 +2,11 @@ const { google } = require('googleapis');
 const fs = require('fs');
 const path = require('path');
 const Table = require('cli-table3');
+const { loadScanResults } = require('./scan_results');
+const { FolderMatcher, resolveMatchThreshold } = require('./folder_matcher');
+const { loadSheetColumns, resolveWorksheetName, SHARE_REQUIRED_COLUMNS } = require('./sheet_columns');
+const { resolveShareOptions, buildPermissionRequest } = require('./share_options');
+const { loadBatchConfig } = require('./batch_config');
 require('dotenv').config();
 
 class FolderShareManager {
@@ -9,9 +14,14 @@ class FolderShareManager {
         this.drive = null;
         this.sheets = null;
         this.cachedParticipants = [];
-        this.scanResults = {};
+        this.scanFolders = [];
+        this.folderMatcher = null;
         this.shareResults = [];
         this.batchUpdates = [];
+        this.worksheetName = null;
+        this.sheetColumns = {};
+        this.shareOptions = null;
+        this.apiDelay = 100;
         this.progressStats = {
             total: 0,
             processed: 0,
@@ -84,21 +94,15 @@ class FolderShareManager {
     loadScanResults() {
         try {
             const scanPath = path.join(__dirname, 'scan_results.json');
-            if (!fs.existsSync(scanPath)) {
-                throw new Error('scan_results.json not found. Please run cache.js first.');
-            }
-
-            const rawScanResults = JSON.parse(fs.readFileSync(scanPath, 'utf8'));
+            const scanData = loadScanResults(scanPath);
             
-            // Convert all folder names to lowercase for matching
-            this.scanResults = {};
-            for (const [folderName, folderId] of Object.entries(rawScanResults)) {
-                const folderNameLower = folderName.toLowerCase().trim();
-                this.scanResults[folderNameLower] = folderId;
-            }
+            this.scanFolders = scanData.folders;
+            this.folderMatcher = new FolderMatcher(scanData.folders, {
+                threshold: resolveMatchThreshold()
+            });
             
-            console.log(`📂 Loaded scan results with ${Object.keys(this.scanResults).length} folders (converted to lowercase for matching)`);
-            return this.scanResults;
+            console.log(`📂 Loaded scan results with ${this.scanFolders.length} folders (auto-share threshold ${this.folderMatcher.threshold})`);
+            return this.scanFolders;
         } catch (error) {
             console.error('❌ Error loading scan results:', error.message);
             throw error;
@@ -106,31 +110,23 @@ class FolderShareManager {
     }
 
     /**
-     * Find folder ID for a participant by matching nama (case insensitive)
+     * Find folder ID for a participant using the fuzzy folder matcher.
+     * Returns null unless the match is confident and unambiguous.
      */
     findFolderIdForParticipant(participantNama) {
-        const namaLower = participantNama.toLowerCase().trim();
-        
-        // Direct match
-        if (this.scanResults[namaLower]) {
-            return this.scanResults[namaLower];
-        }
-
-        // Try without extra spaces
-        const namaClean = namaLower.replace(/\s+/g, ' ');
-        if (this.scanResults[namaClean]) {
-            return this.scanResults[namaClean];
-        }
-
-        // Partial match - find folder name that contains the participant name
-        for (const [folderName, folderId] of Object.entries(this.scanResults)) {
-            const folderNameClean = folderName.toLowerCase().trim();
-            if (folderNameClean.includes(namaClean) || namaClean.includes(folderNameClean)) {
-                console.log(`🔍 Partial match found: "${participantNama}" matches folder "${folderName}"`);
-                return folderId;
+        const result = this.folderMatcher.match(participantNama);
+        if (result.autoShare) {
+            if (result.reason === 'FUZZY') {
+                console.log(`🔍 Fuzzy match: "${participantNama}" → "${result.match.name}" (confidence ${result.confidence})`);
             }
+            return result.match.id;
         }
 
+        if (result.reason === 'DUPLICATE') {
+            console.log(`⚠️ ${result.candidates.length} folders match "${participantNama}": ${result.candidates.map(c => c.path).join('; ')}`);
+        } else if (result.candidates.length > 0) {
+            console.log(`⚠️ No confident match for "${participantNama}" (${result.reason}, best "${result.candidates[0].name}" at ${result.confidence})`);
+        }
         return null;
     }
 
@@ -141,17 +137,9 @@ class FolderShareManager {
         try {
             console.log(`🔗 Sharing folder ${folderId} with ${email} (${participantName})`);
 
-            const permission = {
-                type: 'user',
-                role: 'reader',
-                emailAddress: email
-            };
-
-            const response = await this.drive.permissions.create({
-                fileId: folderId,
-                resource: permission,
-                sendNotificationEmail: false // Don't send email notification
-            });
+            const response = await this.drive.permissions.create(
+                buildPermissionRequest(this.shareOptions, { folderId, email, nama: participantName })
+            );
 
             console.log(`✅ Successfully shared folder with ${email}`);
             return {
@@ -240,11 +228,11 @@ class FolderShareManager {
 
                 // Set isShared to false for failed shares
                 this.batchUpdates.push({
-                    range: `Form Response 1!I${participant.row}`, // isShared column
+                    range: this.sheetRange('isShared', participant.row),
                     values: [['FALSE']]
                 });
                 this.batchUpdates.push({
-                    range: `Form Response 1!J${participant.row}`, // LastLog column
+                    range: this.sheetRange('lastLog', participant.row),
                     values: [[`Failed: ${new Date().toISOString()}`]]
                 });
                 continue;
@@ -270,27 +258,27 @@ class FolderShareManager {
             // Prepare batch update for Google Sheets
             if (shareResult.success) {
                 this.batchUpdates.push({
-                    range: `Form Response 1!I${participant.row}`, // isShared column
+                    range: this.sheetRange('isShared', participant.row),
                     values: [['TRUE']]
                 });
                 this.batchUpdates.push({
-                    range: `Form Response 1!J${participant.row}`, // LastLog column
+                    range: this.sheetRange('lastLog', participant.row),
                     values: [[new Date().toISOString()]]
                 });
             } else {
                 // Set isShared to false for failed shares
                 this.batchUpdates.push({
-                    range: `Form Response 1!I${participant.row}`, // isShared column
+                    range: this.sheetRange('isShared', participant.row),
                     values: [['FALSE']]
                 });
                 this.batchUpdates.push({
-                    range: `Form Response 1!J${participant.row}`, // LastLog column
+                    range: this.sheetRange('lastLog', participant.row),
                     values: [[`Failed: ${new Date().toISOString()}`]]
                 });
             }
 
-            // Small delay to avoid rate limiting
-            await new Promise(resolve => setTimeout(resolve, 100));
+            // Small delay to avoid rate limiting (API_DELAY)
+            await new Promise(resolve => setTimeout(resolve, this.apiDelay));
         }
 
         // Final display
@@ -342,27 +330,28 @@ class FolderShareManager {
     }
 
     /**
-     * Get available worksheets in the spreadsheet
+     * Locate the sheet columns by header before anything is shared
      */
-    async getAvailableWorksheets() {
+    async loadSheetColumns() {
         try {
             const sheetId = process.env.GOOGLE_SHEET_ID;
-            const response = await this.sheets.spreadsheets.get({
-                spreadsheetId: sheetId
-            });
-
-            const worksheets = response.data.sheets.map(sheet => ({
-                title: sheet.properties.title,
-                sheetId: sheet.properties.sheetId
-            }));
-
-            return worksheets;
+            this.worksheetName = await resolveWorksheetName(this.sheets, sheetId);
+            this.sheetColumns = await loadSheetColumns(this.sheets, sheetId, this.worksheetName, SHARE_REQUIRED_COLUMNS);
+            console.log(`📋 Writing isShared to column ${this.sheetColumns.isShared.letter} and LastLog to column ${this.sheetColumns.lastLog.letter}`);
+            return this.sheetColumns;
         } catch (error) {
-            console.error('❌ Error getting worksheets:', error.message);
+            console.error('❌ Error reading sheet columns:', error.message);
             throw error;
         }
     }
 
+    /**
+     * A1 range of one cell for a mapped field
+     */
+    sheetRange(field, row) {
+        return `${this.worksheetName}!${this.sheetColumns[field].letter}${row}`;
+    }
+
     /**
      * Batch update Google Sheets with sharing status
      */
@@ -378,38 +367,18 @@ class FolderShareManager {
                 throw new Error('GOOGLE_SHEET_ID environment variable is required');
             }
 
-            // Get worksheet name
-            const worksheets = await this.getAvailableWorksheets();
-            let worksheetName = process.env.WORKSHEET_NAME || 'Form Response 1';
-            
-            const targetWorksheet = worksheets.find(ws => 
-                ws.title === worksheetName || 
-                ws.title.toLowerCase() === worksheetName.toLowerCase()
-            );
-
-            if (!targetWorksheet) {
-                worksheetName = worksheets[0].title;
-                console.log(`📝 Using worksheet: "${worksheetName}"`);
-            }
-
-            // Update the batch updates with the correct worksheet name
-            const updatedBatchUpdates = this.batchUpdates.map(update => ({
-                ...update,
-                range: update.range.replace('Form Response 1!', `${worksheetName}!`)
-            }));
-
-            console.log(`📝 Updating Google Sheets with ${updatedBatchUpdates.length} updates...`);
+            console.log(`📝 Updating Google Sheets with ${this.batchUpdates.length} updates...`);
 
             const response = await this.sheets.spreadsheets.values.batchUpdate({
                 spreadsheetId: sheetId,
                 resource: {
                     valueInputOption: 'RAW',
-                    data: updatedBatchUpdates
+                    data: this.batchUpdates
                 }
             });
 
-            console.log(`✅ Successfully updated ${updatedBatchUpdates.length} cells in Google Sheets`);
-            console.log(`📝 Updated rows in sheets: ${this.batchUpdates.map(u => u.range.match(/\d+/)?.[0]).filter(Boolean).join(', ')}`);
+            console.log(`✅ Successfully updated ${this.batchUpdates.length} cells in Google Sheets`);
+            console.log(`📝 Updated rows in sheets: ${this.batchUpdates.map(u => u.range.match(/\d+$/)?.[0]).filter(Boolean).join(', ')}`);
             return response.data;
 
         } catch (error) {
@@ -458,6 +427,11 @@ async function main() {
     const shareManager = new FolderShareManager();
     
     try {
+        // Role, notification email and message for this run
+        shareManager.shareOptions = resolveShareOptions(process.argv.slice(2));
+        console.log(`🔐 Sharing as ${shareManager.shareOptions.role}, notification email ${shareManager.shareOptions.sendNotificationEmail ? 'on' : 'off'}`);
+        shareManager.apiDelay = loadBatchConfig().apiDelay;
+
         // Initialize the share manager
         const initialized = await shareManager.initialize();
         if (!initialized) {
@@ -469,6 +443,9 @@ async function main() {
         
         // Load scan results
         shareManager.loadScanResults();
+
+        // Locate sheet columns (fails early if isShared or LastLog is missing)
+        await shareManager.loadSheetColumns();
         
         // Process sharing
         await shareManager.processSharing();
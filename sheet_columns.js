@@ -0,0 +1,188 @@
+/**
+ * Sheet columns used by the scripts, found by header name instead of position.
+ * Each field can be overridden with an env var holding a comma-separated list of
+ * header names; those are tried first, then the built-in aliases.
+ */
+const COLUMN_FIELDS = {
+    timestamp: {
+        env: 'COLUMN_TIMESTAMP',
+        aliases: ['Timestamp', 'Cap waktu', 'Stempel waktu']
+    },
+    email: {
+        env: 'COLUMN_EMAIL',
+        aliases: ['Email Address', 'Email', 'Alamat email', 'E-mail']
+    },
+    nama: {
+        env: 'COLUMN_NAMA',
+        aliases: ['Nama Peserta', 'Nama', 'Nama Lengkap', 'Name', 'Full Name']
+    },
+    folderId: {
+        env: 'COLUMN_FOLDER_ID',
+        aliases: ['FolderId', 'Folder ID']
+    },
+    isShared: {
+        env: 'COLUMN_IS_SHARED',
+        aliases: ['isShared', 'Is Shared']
+    },
+    lastLog: {
+        env: 'COLUMN_LAST_LOG',
+        aliases: ['LastLog', 'Last Log']
+    }
+};
+
+// Optional columns with more addresses to share each participant's folder with.
+// Unlike the fields above, every matching column is used.
+const EXTRA_EMAIL_COLUMNS = {
+    env: 'COLUMN_EXTRA_EMAILS',
+    aliases: ['Email Siswa', 'Email Orang Tua', 'Email Wali', 'Email Tambahan', 'Student Email', 'Parent Email', 'Additional Email']
+};
+
+// Columns needed to read participants and to record sharing status
+const CACHE_REQUIRED_COLUMNS = ['email', 'nama'];
+const SHARE_REQUIRED_COLUMNS = ['isShared', 'lastLog'];
+
+function headerKey(header) {
+    return (header || '').toString().toLowerCase().trim().replace(/\s+/g, ' ');
+}
+
+/**
+ * Convert a zero-based column index to an A1 column letter (0 → A, 26 → AA)
+ * @param {number} index - Column index
+ * @returns {string}
+ */
+function columnLetter(index) {
+    let letter = '';
+    for (let n = index + 1; n > 0; n = Math.floor((n - 1) / 26)) {
+        letter = String.fromCharCode(65 + ((n - 1) % 26)) + letter;
+    }
+    return letter;
+}
+
+/**
+ * Header names to look for per field, configured names first
+ * @param {Object} env - Environment variables
+ * @returns {Object} Field to list of header names
+ */
+function resolveColumnAliases(env = process.env) {
+    const aliases = {};
+    for (const [field, config] of Object.entries(COLUMN_FIELDS)) {
+        const configured = (env[config.env] || '')
+            .split(',')
+            .map(name => name.trim())
+            .filter(Boolean);
+        aliases[field] = [...new Set([...configured, ...config.aliases])];
+    }
+    return aliases;
+}
+
+/**
+ * Map sheet headers to fields.
+ * @param {Array<string>} headers - Header row
+ * @param {Object} options - { required: fields that must exist, aliases: from resolveColumnAliases }
+ * @returns {Object} Field to { index, letter, header }; fields not found are left out
+ * @throws {Error} When a required field has no matching header
+ */
+function mapColumns(headers, options = {}) {
+    const required = options.required || [];
+    const aliases = options.aliases || resolveColumnAliases();
+    const headerIndex = new Map();
+    headers.forEach((header, index) => {
+        const key = headerKey(header);
+        if (key && !headerIndex.has(key)) {
+            headerIndex.set(key, index);
+        }
+    });
+
+    const columns = {};
+    for (const [field, names] of Object.entries(aliases)) {
+        const name = names.find(alias => headerIndex.has(headerKey(alias)));
+        if (name !== undefined) {
+            const index = headerIndex.get(headerKey(name));
+            columns[field] = { index, letter: columnLetter(index), header: headers[index] };
+        }
+    }
+
+    const missing = required.filter(field => !columns[field]);
+    if (missing.length > 0) {
+        const details = missing
+            .map(field => `${field} (looked for ${aliases[field].map(name => `"${name}"`).join(', ')}; set ${COLUMN_FIELDS[field].env} to use another header)`)
+            .join('\n   - ');
+        throw new Error(`Required sheet column(s) not found:\n   - ${details}\nHeaders in sheet: ${headers.map(h => `"${h}"`).join(', ')}`);
+    }
+
+    return columns;
+}
+
+/**
+ * Find the extra email columns (COLUMN_EXTRA_EMAILS, then the built-in aliases).
+ * The column already mapped to `email` is never included.
+ * @param {Array<string>} headers - Header row
+ * @param {Object} columns - Mapping from mapColumns
+ * @param {Object} env - Environment variables
+ * @returns {Array<Object>} [{ index, letter, header }] in sheet order
+ */
+function mapExtraEmailColumns(headers, columns, env = process.env) {
+    const configured = (env[EXTRA_EMAIL_COLUMNS.env] || '')
+        .split(',')
+        .map(name => headerKey(name))
+        .filter(Boolean);
+    const names = new Set([...configured, ...EXTRA_EMAIL_COLUMNS.aliases.map(headerKey)]);
+    const emailIndex = columns.email ? columns.email.index : -1;
+
+    return headers
+        .map((header, index) => ({ index, letter: columnLetter(index), header }))
+        .filter(column => column.index !== emailIndex && names.has(headerKey(column.header)));
+}
+
+/**
+ * Resolve WORKSHEET_NAME to an existing worksheet title, falling back to the first one
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @returns {Promise<string>} Worksheet title
+ */
+async function resolveWorksheetName(sheets, spreadsheetId) {
+    const response = await sheets.spreadsheets.get({ spreadsheetId });
+    const titles = response.data.sheets.map(sheet => sheet.properties.title);
+    const worksheetName = process.env.WORKSHEET_NAME || 'Form Response 1';
+
+    const target = titles.find(title =>
+        title === worksheetName ||
+        title.toLowerCase() === worksheetName.toLowerCase()
+    );
+
+    if (!target) {
+        console.log(`⚠️ Worksheet "${worksheetName}" not found. Using worksheet: "${titles[0]}"`);
+        return titles[0];
+    }
+    return target;
+}
+
+/**
+ * Read the header row of a worksheet and map it to fields
+ * @param {Object} sheets - Google Sheets API client
+ * @param {string} spreadsheetId - Spreadsheet ID
+ * @param {string} worksheetName - Worksheet title
+ * @param {Array<string>} required - Fields that must exist
+ * @returns {Promise<Object>} Column mapping from mapColumns
+ */
+async function loadSheetColumns(sheets, spreadsheetId, worksheetName, required = []) {
+    const response = await sheets.spreadsheets.values.get({
+        spreadsheetId,
+        range: `${worksheetName}!1:1`
+    });
+    const headers = (response.data.values && response.data.values[0]) || [];
+    return mapColumns(headers, { required });
+}
+
+module.exports = {
+    COLUMN_FIELDS,
+    EXTRA_EMAIL_COLUMNS,
+    CACHE_REQUIRED_COLUMNS,
+    SHARE_REQUIRED_COLUMNS,
+    columnLetter,
+    resolveColumnAliases,
+    mapColumns,
+    mapExtraEmailColumns,
+    resolveWorksheetName,
+    loadSheetColumns
+};
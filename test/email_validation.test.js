@@ -0,0 +1,59 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { normalizeEmail, splitEmails, suggestDomain, validateEmail } = require('../email_validation');
+
+test('normalizeEmail trims, lowercases and drops mailto:', () => {
+    assert.equal(normalizeEmail('  MailTo:Budi.Santoso@Gmail.COM '), 'budi.santoso@gmail.com');
+    assert.equal(normalizeEmail(null), '');
+});
+
+test('splitEmails separates addresses on semicolons, line breaks and commas before an @', () => {
+    assert.deepEqual(splitEmails('budi@gmail.com; siti@yahoo.co.id\nani@outlook.com, rina@gmail.com'), [
+        'budi@gmail.com',
+        'siti@yahoo.co.id',
+        'ani@outlook.com',
+        'rina@gmail.com'
+    ]);
+    assert.deepEqual(splitEmails('budi@gmail,com'), ['budi@gmail,com']);
+    assert.deepEqual(splitEmails(' ; '), []);
+});
+
+test('suggestDomain catches one-letter typos and swapped letters', () => {
+    assert.equal(suggestDomain('gmial.com'), 'gmail.com');
+    assert.equal(suggestDomain('gmai.com'), 'gmail.com');
+    assert.equal(suggestDomain('yahooo.com'), 'yahoo.com');
+    assert.equal(suggestDomain('gmail.com'), null);
+    assert.equal(suggestDomain('sekolah.sch.id'), null);
+});
+
+test('validateEmail accepts and normalizes valid addresses', () => {
+    assert.deepEqual(validateEmail(' Budi.Santoso+kelas@Gmail.com '), {
+        email: 'budi.santoso+kelas@gmail.com',
+        valid: true,
+        reason: null,
+        message: null,
+        suggestion: null
+    });
+    assert.equal(validateEmail('guru@sman1.sch.id').valid, true);
+});
+
+test('validateEmail reports empty and malformed addresses', () => {
+    assert.equal(validateEmail('   ').reason, 'EMPTY');
+    assert.equal(validateEmail('budi.gmail.com').reason, 'MALFORMED');
+    assert.equal(validateEmail('budi@@gmail.com').reason, 'MALFORMED');
+    assert.equal(validateEmail('budi..santoso@gmail.com').reason, 'MALFORMED');
+    assert.equal(validateEmail('budi santoso@gmail.com').reason, 'MALFORMED');
+    assert.equal(validateEmail('budi@localhost').reason, 'MALFORMED');
+});
+
+test('validateEmail suggests the intended address for domain typos', () => {
+    const typo = validateEmail('budi@gmial.com');
+    assert.equal(typo.reason, 'DOMAIN_TYPO');
+    assert.equal(typo.suggestion, 'budi@gmail.com');
+
+    const comma = validateEmail('budi@gmail,com');
+    assert.equal(comma.reason, 'MALFORMED');
+    assert.equal(comma.suggestion, 'budi@gmail.com');
+
+    assert.equal(validateEmail('budi@gmailcom').suggestion, 'budi@gmail.com');
+});
@@ -0,0 +1,119 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    FolderMatcher,
+    normalizeName,
+    nameSimilarity,
+    resolveMatchThreshold,
+    DEFAULT_MATCH_THRESHOLD
+} = require('../folder_matcher');
+
+const folder = (id, name) => ({ id, name, path: `Peserta/${name}` });
+
+test('normalizeName drops honorifics, punctuation and folder suffixes', () => {
+    assert.equal(normalizeName('Bapak Dr. Budi Santoso, S.Kom'), 'budi santoso s kom');
+    assert.equal(normalizeName('Siti Aminah - Certificate Folder'), 'siti aminah');
+    assert.equal(normalizeName('José  Ramírez'), 'jose ramirez');
+});
+
+test('normalizeName unifies Muhammad, Ahmad and Abdul spellings', () => {
+    assert.equal(normalizeName('Mochammad Achmad Abd Rahman'), 'muhammad ahmad abdul rahman');
+    assert.equal(normalizeName('M. Rizki'), 'muhammad rizki');
+});
+
+test('nameSimilarity ignores word order', () => {
+    assert.equal(nameSimilarity('budi santoso', 'santoso budi'), 1);
+    assert.ok(nameSimilarity('budi santoso', 'budi santosa') > 0.9);
+    assert.equal(nameSimilarity('', 'budi'), 0);
+});
+
+test('match returns EXACT for the same name after normalization', () => {
+    const matcher = new FolderMatcher([folder('a', 'Budi Santoso'), folder('b', 'Siti Aminah')]);
+    const result = matcher.match('Bpk. BUDI santoso');
+
+    assert.equal(result.reason, 'EXACT');
+    assert.equal(result.match.id, 'a');
+    assert.equal(result.autoShare, true);
+});
+
+test('match returns DUPLICATE when several folders share the name', () => {
+    const matcher = new FolderMatcher([folder('a', 'Budi Santoso'), folder('b', 'budi santoso')]);
+    const result = matcher.match('Budi Santoso');
+
+    assert.equal(result.reason, 'DUPLICATE');
+    assert.equal(result.match, null);
+    assert.deepEqual(result.candidates.map(candidate => candidate.id), ['a', 'b']);
+});
+
+test('match finds a folder through a misspelled name word', () => {
+    const matcher = new FolderMatcher([
+        folder('a', 'Muhammad Zaky'),
+        folder('b', 'Muhammad Rizky'),
+        folder('c', 'Siti Aminah')
+    ]);
+    const result = matcher.match('Muhammad Zacky');
+
+    assert.equal(result.reason, 'FUZZY');
+    assert.equal(result.match.id, 'a');
+    assert.ok(result.confidence >= DEFAULT_MATCH_THRESHOLD);
+});
+
+test('match flags close runners-up as AMBIGUOUS', () => {
+    const matcher = new FolderMatcher([folder('a', 'Budi Santosa'), folder('b', 'Budi Santosi')]);
+    const result = matcher.match('Budi Santoso');
+
+    assert.equal(result.reason, 'AMBIGUOUS');
+    assert.equal(result.autoShare, false);
+    assert.equal(result.candidates.length, 2);
+});
+
+test('match keeps weak matches for review and reports unrelated names as NO_MATCH', () => {
+    const matcher = new FolderMatcher([folder('a', 'Budi Santoso Wijaya'), folder('b', 'Siti Aminah')]);
+
+    const weak = matcher.match('Budi Hartono');
+    assert.equal(weak.reason, 'LOW_CONFIDENCE');
+    assert.equal(weak.candidates[0].id, 'a');
+
+    const none = matcher.match('Xavier Quinn');
+    assert.equal(none.reason, 'NO_MATCH');
+    assert.deepEqual(none.candidates, []);
+});
+
+test('a name with only common words is scored against every folder', () => {
+    const matcher = new FolderMatcher([folder('a', 'Muhammad Al'), folder('b', 'Siti Aminah')]);
+    const result = matcher.match('Mohammad');
+
+    assert.equal(result.candidates[0].id, 'a');
+});
+
+test('search lists folders containing the query before fuzzy matches', () => {
+    const matcher = new FolderMatcher([
+        folder('a', 'Budi Santosa'),
+        folder('b', 'Budi Santoso Wijaya'),
+        folder('c', 'Siti Aminah')
+    ]);
+
+    assert.deepEqual(matcher.search('Budi Santoso').map(result => result.id), ['b', 'a']);
+    assert.deepEqual(matcher.search('c').map(result => result.id).slice(0, 1), ['c']);
+    assert.deepEqual(matcher.search('   '), []);
+});
+
+test('resolveMatchThreshold reads MATCH_THRESHOLD between 0 and 1', (t) => {
+    const original = process.env.MATCH_THRESHOLD;
+    t.after(() => {
+        if (original === undefined) {
+            delete process.env.MATCH_THRESHOLD;
+        } else {
+            process.env.MATCH_THRESHOLD = original;
+        }
+    });
+
+    delete process.env.MATCH_THRESHOLD;
+    assert.equal(resolveMatchThreshold(), DEFAULT_MATCH_THRESHOLD);
+
+    process.env.MATCH_THRESHOLD = '0.8';
+    assert.equal(resolveMatchThreshold(), 0.8);
+
+    process.env.MATCH_THRESHOLD = '1.5';
+    assert.throws(() => resolveMatchThreshold(), /Invalid MATCH_THRESHOLD/);
+});
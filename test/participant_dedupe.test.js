@@ -0,0 +1,75 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_DUPLICATE_POLICY, resolveDuplicatePolicy, dedupeParticipants } = require('../participant_dedupe');
+
+const participant = (row, nama, email, extraEmails) => ({ row, nama, email, ...(extraEmails ? { extraEmails } : {}) });
+
+test('resolveDuplicatePolicy defaults to flag and rejects unknown policies', () => {
+    assert.equal(DEFAULT_DUPLICATE_POLICY, 'flag');
+    assert.equal(resolveDuplicatePolicy({}), 'flag');
+    assert.equal(resolveDuplicatePolicy({ DUPLICATE_POLICY: ' Latest ' }), 'latest');
+    assert.throws(() => resolveDuplicatePolicy({ DUPLICATE_POLICY: 'newest' }), /Invalid DUPLICATE_POLICY "newest"/);
+});
+
+test('participants with unique names pass through unchanged', () => {
+    const participants = [participant(2, 'Budi', 'budi@gmail.com'), participant(3, 'Siti', 'siti@gmail.com')];
+    const result = dedupeParticipants(participants);
+
+    assert.deepEqual(result.participants, participants);
+    assert.deepEqual(result.merged, []);
+    assert.deepEqual(result.conflicts, []);
+});
+
+test('repeat submissions with the same email are merged without a conflict', () => {
+    const result = dedupeParticipants([
+        participant(2, 'Budi Santoso', 'budi@gmail.com'),
+        participant(3, 'Siti', 'siti@gmail.com'),
+        participant(5, ' budi  SANTOSO', 'budi@gmail.com')
+    ], 'flag');
+
+    assert.deepEqual(result.participants.map(p => p.row), [3, 5]);
+    assert.deepEqual(result.participants[1].duplicateRows, [2]);
+    assert.equal(result.participants[1].duplicateConflict, undefined);
+    assert.deepEqual(result.merged[0].rows, [2, 5]);
+    assert.deepEqual(result.conflicts, []);
+});
+
+test('flag reports a name submitted with different emails', () => {
+    const result = dedupeParticipants([
+        participant(2, 'Budi', 'budi@gmail.com'),
+        participant(4, 'Budi', 'budi.s@yahoo.com')
+    ], 'flag');
+
+    assert.equal(result.conflicts.length, 1);
+    assert.deepEqual(result.conflicts[0].duplicateConflict, {
+        emails: ['budi@gmail.com', 'budi.s@yahoo.com'],
+        rows: [{ row: 2, email: 'budi@gmail.com' }, { row: 4, email: 'budi.s@yahoo.com' }]
+    });
+});
+
+test('latest keeps the newest submission and first keeps the oldest', () => {
+    const participants = [
+        participant(4, 'Budi', 'new@gmail.com'),
+        participant(2, 'Budi', 'old@gmail.com')
+    ];
+
+    const latest = dedupeParticipants(participants, 'latest');
+    assert.equal(latest.participants[0].email, 'new@gmail.com');
+    assert.deepEqual(latest.participants[0].duplicateRows, [2]);
+    assert.deepEqual(latest.conflicts, []);
+
+    const first = dedupeParticipants(participants, 'first');
+    assert.equal(first.participants[0].email, 'old@gmail.com');
+    assert.deepEqual(first.participants[0].duplicateRows, [4]);
+});
+
+test('extra emails of every merged row are kept, without the primary email', () => {
+    const result = dedupeParticipants([
+        participant(2, 'Budi', 'budi@gmail.com', ['ayah@gmail.com']),
+        participant(3, 'Budi', 'budi@gmail.com', ['ibu@gmail.com', 'ayah@gmail.com']),
+        participant(4, 'Budi', 'ibu@gmail.com')
+    ], 'latest');
+
+    assert.equal(result.participants[0].email, 'ibu@gmail.com');
+    assert.deepEqual(result.participants[0].extraEmails, ['ayah@gmail.com']);
+});
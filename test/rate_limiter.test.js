@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { DEFAULT_RATE_LIMIT, resolveRateLimit, TokenBucketLimiter } = require('../rate_limiter');
+
+test('resolveRateLimit uses the defaults and derives burst from the rate', () => {
+    assert.deepEqual(resolveRateLimit({}), DEFAULT_RATE_LIMIT);
+    assert.deepEqual(resolveRateLimit({ RATE_LIMIT_RPS: '4.5' }), { rate: 4.5, burst: 4, minRate: 1 });
+    assert.deepEqual(resolveRateLimit({ RATE_LIMIT_RPS: '0.5' }), { rate: 0.5, burst: 1, minRate: 0.5 });
+    assert.deepEqual(
+        resolveRateLimit({ RATE_LIMIT_RPS: '5', RATE_LIMIT_BURST: '20', RATE_LIMIT_MIN_RPS: '8' }),
+        { rate: 5, burst: 20, minRate: 5 }
+    );
+    assert.throws(() => resolveRateLimit({ RATE_LIMIT_RPS: '-1' }), /Invalid RATE_LIMIT_RPS/);
+});
+
+test('a full bucket grants the burst at once and queues the rest', async (t) => {
+    const limiter = new TokenBucketLimiter({ rate: 20, burst: 3, minRate: 1 });
+    t.after(() => limiter.stop());
+
+    let granted = 0;
+    const requests = Array.from({ length: 5 }, () => limiter.acquire().then(() => granted++));
+    await Promise.resolve();
+
+    assert.equal(granted, 3);
+    assert.equal(limiter.snapshot().waiting, 2);
+
+    await Promise.all(requests);
+    assert.equal(limiter.snapshot().granted, 5);
+    assert.equal(limiter.snapshot().waiting, 0);
+});
+
+test('rate-limit errors halve the rate once per slowdown, down to the floor', (t) => {
+    const limiter = new TokenBucketLimiter({ rate: 8, burst: 8, minRate: 3 });
+    t.after(() => limiter.stop());
+    const changes = [];
+    limiter.onRateChange = snapshot => changes.push(snapshot.rate);
+
+    limiter.reportRateLimit();
+    limiter.reportRateLimit();
+    assert.equal(limiter.rate, 4);
+    assert.equal(limiter.tokens, 0);
+
+    // A later error is a new slowdown, but the rate stops at minRate
+    limiter.lastSlowdownAt -= 1000;
+    limiter.reportRateLimit();
+    assert.equal(limiter.rate, 3);
+
+    const snapshot = limiter.snapshot();
+    assert.equal(snapshot.rateLimitErrors, 3);
+    assert.equal(snapshot.slowdowns, 2);
+    assert.equal(snapshot.throttled, true);
+    assert.deepEqual(changes, [4, 3]);
+});
+
+test('the rate recovers step by step after a quiet period', (t) => {
+    const limiter = new TokenBucketLimiter({ rate: 10, burst: 10, minRate: 1 });
+    t.after(() => limiter.stop());
+
+    limiter.reportRateLimit();
+    assert.equal(limiter.rate, 5);
+
+    limiter.refill();
+    assert.equal(limiter.rate, 5);
+
+    limiter.lastRateLimitAt -= 5000;
+    limiter.refill();
+    assert.equal(limiter.rate, 6);
+
+    // The next step waits for another quiet interval
+    limiter.refill();
+    assert.equal(limiter.rate, 6);
+
+    limiter.rate = 9.5;
+    limiter.lastRecoveryAt -= 5000;
+    limiter.refill();
+    assert.equal(limiter.rate, 10);
+    assert.equal(limiter.snapshot().throttled, false);
+});
@@ -0,0 +1,109 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    DEFAULT_RETRY_POLICY,
+    resolveRetryPolicy,
+    isRateLimitError,
+    isTransientError,
+    retryAfterMs,
+    retryDelay,
+    withRetry
+} = require('../retry_policy');
+
+// Shaped like the errors googleapis throws
+function apiError(status, reason = null, headers = {}) {
+    const error = new Error(`HTTP ${status}`);
+    error.code = status;
+    error.response = { status, headers, data: { error: { errors: reason ? [{ reason }] : [] } } };
+    return error;
+}
+
+const noDelay = { maxAttempts: 3, baseDelay: 0, maxDelay: 0 };
+
+test('resolveRetryPolicy uses the defaults and validates overrides', () => {
+    assert.deepEqual(resolveRetryPolicy({}), DEFAULT_RETRY_POLICY);
+    assert.deepEqual(
+        resolveRetryPolicy({ RETRY_MAX_ATTEMPTS: '2', RETRY_BASE_DELAY: '500', RETRY_MAX_DELAY: '100' }),
+        { maxAttempts: 2, baseDelay: 500, maxDelay: 500 }
+    );
+    assert.throws(() => resolveRetryPolicy({ RETRY_MAX_ATTEMPTS: '0' }), /Invalid RETRY_MAX_ATTEMPTS/);
+    assert.throws(() => resolveRetryPolicy({ RETRY_BASE_DELAY: 'soon' }), /Invalid RETRY_BASE_DELAY/);
+});
+
+test('only rate-limit 403s count as rate limited', () => {
+    assert.equal(isRateLimitError(apiError(429)), true);
+    assert.equal(isRateLimitError(apiError(403, 'userRateLimitExceeded')), true);
+    assert.equal(isRateLimitError(apiError(403, 'sharingRateLimitExceeded')), true);
+    assert.equal(isRateLimitError(apiError(403, 'insufficientFilePermissions')), false);
+});
+
+test('server errors and dropped connections are transient, client errors are not', () => {
+    assert.equal(isTransientError(apiError(503)), true);
+    assert.equal(isTransientError(apiError(408)), true);
+    assert.equal(isTransientError(Object.assign(new Error('socket hang up'), { code: 'ECONNRESET' })), true);
+    assert.equal(isTransientError(apiError(404)), false);
+    assert.equal(isTransientError(apiError(400, 'invalid')), false);
+});
+
+test('retryAfterMs reads seconds or an HTTP date', () => {
+    assert.equal(retryAfterMs(apiError(429, null, { 'retry-after': '3' })), 3000);
+    const date = new Date(Date.now() + 60000).toUTCString();
+    const fromDate = retryAfterMs(apiError(429, null, { 'retry-after': date }));
+    assert.ok(fromDate > 55000 && fromDate <= 60000);
+    assert.equal(retryAfterMs(apiError(429)), null);
+});
+
+test('retryDelay honours Retry-After and caps backoff at maxDelay', () => {
+    const policy = { maxAttempts: 5, baseDelay: 1000, maxDelay: 4000 };
+
+    assert.equal(retryDelay(1, policy, apiError(429, null, { 'retry-after': '2' })), 2000);
+    assert.equal(retryDelay(1, policy, apiError(429, null, { 'retry-after': '120' })), 4000);
+    for (let attempt = 1; attempt <= 6; attempt++) {
+        const delay = retryDelay(attempt, policy, apiError(503));
+        assert.ok(delay >= 0 && delay <= Math.min(1000 * 2 ** (attempt - 1), 4000));
+    }
+});
+
+test('withRetry retries transient failures and records each attempt', async () => {
+    const attempts = [];
+    const retried = [];
+    let calls = 0;
+
+    const result = await withRetry(async () => {
+        calls++;
+        if (calls < 3) throw apiError(503);
+        return 'ok';
+    }, noDelay, { attempts, label: 'permissions.create', onRetry: record => retried.push(record.attempt) });
+
+    assert.equal(result, 'ok');
+    assert.equal(calls, 3);
+    assert.deepEqual(retried, [1, 2]);
+    assert.deepEqual(attempts.map(record => [record.call, record.transient]), [
+        ['permissions.create', true],
+        ['permissions.create', true]
+    ]);
+});
+
+test('withRetry gives up after maxAttempts and attaches the attempts', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw apiError(403, 'rateLimitExceeded');
+        }, noDelay),
+        error => error.attempts.length === 3 && error.attempts.every(record => record.rateLimited)
+    );
+    assert.equal(calls, 3);
+});
+
+test('withRetry fails permanent errors straight away', async () => {
+    let calls = 0;
+    await assert.rejects(
+        withRetry(async () => {
+            calls++;
+            throw apiError(404);
+        }, noDelay),
+        error => error.attempts.length === 1 && error.attempts[0].delayMs === null
+    );
+    assert.equal(calls, 1);
+});
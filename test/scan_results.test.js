@@ -0,0 +1,94 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    normalizeScanResults,
+    toFlatFolderMap,
+    folderNameKey,
+    findDuplicateFolderNames,
+    rebuildFolderHierarchy,
+    extractDriveFolderId
+} = require('../scan_results');
+
+test('normalizeScanResults converts the legacy flat map into folder entries', () => {
+    const results = normalizeScanResults({ 'Budi Santoso': 'id-1', 'Siti Aminah': 'id-2' });
+
+    assert.equal(results.version, 1);
+    assert.deepEqual(results.folders.map(folder => [folder.name, folder.id, folder.depth]), [
+        ['Budi Santoso', 'id-1', null],
+        ['Siti Aminah', 'id-2', null]
+    ]);
+});
+
+test('normalizeScanResults leaves hierarchical results untouched', () => {
+    const data = { version: 2, rootFolderId: 'root', folders: [{ id: 'a', name: 'A' }] };
+    assert.equal(normalizeScanResults(data), data);
+    assert.deepEqual(normalizeScanResults(null).folders, []);
+});
+
+test('toFlatFolderMap keeps the last folder for a repeated name', () => {
+    const map = toFlatFolderMap({
+        folders: [
+            { id: 'a', name: 'Budi' },
+            { id: 'b', name: 'Budi' },
+            { id: 'c', name: 'Siti' }
+        ]
+    });
+    assert.deepEqual(map, { Budi: 'b', Siti: 'c' });
+});
+
+test('folderNameKey ignores case and extra whitespace', () => {
+    assert.equal(folderNameKey('  Budi   SANTOSO '), 'budi santoso');
+    assert.equal(folderNameKey(null), '');
+});
+
+test('findDuplicateFolderNames reports repeated and case-only variants separately', () => {
+    const report = findDuplicateFolderNames([
+        { id: 'a', name: 'Budi', path: 'X/Budi' },
+        { id: 'b', name: 'Budi', path: 'Y/Budi' },
+        { id: 'c', name: 'siti', path: 'siti' },
+        { id: 'd', name: 'Siti ', path: 'Siti ' }
+    ]);
+
+    assert.equal(report.duplicateNames, 1);
+    assert.equal(report.duplicates[0].name, 'Budi');
+    assert.deepEqual(report.duplicates[0].folders.map(folder => folder.path), ['X/Budi', 'Y/Budi']);
+    assert.equal(report.ambiguousNames, 1);
+    assert.deepEqual(report.ambiguous[0].variants, ['siti', 'Siti ']);
+});
+
+test('rebuildFolderHierarchy recomputes parent chains, paths and depths', () => {
+    const folders = rebuildFolderHierarchy([
+        { id: 'c', name: 'C', parentId: 'b' },
+        { id: 'a', name: 'A', parentId: 'root' },
+        { id: 'b', name: 'B', parentId: 'a' }
+    ], 'root');
+
+    const byId = Object.fromEntries(folders.map(folder => [folder.id, folder]));
+    assert.deepEqual(byId.a.parentChain, ['root']);
+    assert.equal(byId.a.depth, 0);
+    assert.deepEqual(byId.c.parentChain, ['root', 'a', 'b']);
+    assert.equal(byId.c.path, 'A/B/C');
+    assert.equal(byId.c.depth, 2);
+});
+
+test('rebuildFolderHierarchy drops orphans, cycles and folders past the depth limit', () => {
+    const folders = rebuildFolderHierarchy([
+        { id: 'a', name: 'A', parentId: 'root' },
+        { id: 'b', name: 'B', parentId: 'a' },
+        { id: 'orphan', name: 'Orphan', parentId: 'gone' },
+        { id: 'x', name: 'X', parentId: 'y' },
+        { id: 'y', name: 'Y', parentId: 'x' }
+    ], 'root', 0);
+
+    assert.deepEqual(folders.map(folder => folder.id), ['a']);
+});
+
+test('extractDriveFolderId accepts bare IDs and folder links', () => {
+    const id = '1BxiMVs0XRA5nFMd-KvBdBZjg_mUUqptl';
+    assert.equal(extractDriveFolderId(id), id);
+    assert.equal(extractDriveFolderId(` https://drive.google.com/drive/folders/${id}?usp=sharing `), id);
+    assert.equal(extractDriveFolderId(`https://drive.google.com/drive/u/1/folders/${id}`), id);
+    assert.equal(extractDriveFolderId(`https://drive.google.com/open?id=${id}`), id);
+    assert.equal(extractDriveFolderId(''), '');
+    assert.equal(extractDriveFolderId(undefined), '');
+});
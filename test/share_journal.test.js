@@ -0,0 +1,78 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const fs = require('fs');
+const os = require('os');
+const path = require('path');
+const { ShareJournal } = require('../share_journal');
+const { writeJsonAtomic } = require('../atomic_file');
+
+function tempDir(t) {
+    const dir = fs.mkdtempSync(path.join(os.tmpdir(), 'share-journal-'));
+    t.after(() => fs.rmSync(dir, { recursive: true, force: true }));
+    return dir;
+}
+
+test('appended entries are numbered and read back in order', (t) => {
+    const filePath = path.join(tempDir(t), 'journal.jsonl');
+    const journal = new ShareJournal(filePath);
+
+    const first = journal.append({ type: 'success', row: 2 });
+    const second = journal.append({ type: 'error', row: 3 });
+    journal.close();
+
+    assert.equal(first.seq, 1);
+    assert.equal(second.seq, 2);
+    assert.ok(first.at);
+
+    const { entries, skipped } = new ShareJournal(filePath).read();
+    assert.equal(skipped, 0);
+    assert.deepEqual(entries.map(entry => [entry.seq, entry.type, entry.row]), [[1, 'success', 2], [2, 'error', 3]]);
+});
+
+test('a reopened journal replays only entries after the snapshot and keeps counting', (t) => {
+    const filePath = path.join(tempDir(t), 'journal.jsonl');
+    const journal = new ShareJournal(filePath);
+    [2, 3, 4].forEach(row => journal.append({ row }));
+    journal.close();
+
+    const reopened = new ShareJournal(filePath);
+    const { entries } = reopened.entriesAfter(2);
+    assert.deepEqual(entries.map(entry => entry.row), [4]);
+    assert.equal(reopened.append({ row: 5 }).seq, 4);
+    reopened.close();
+});
+
+test('a line cut off by a crash is skipped', (t) => {
+    const filePath = path.join(tempDir(t), 'journal.jsonl');
+    fs.writeFileSync(filePath, '{"seq":1,"row":2}\n{"seq":2,"row":3}\n{"seq":3,"ro');
+
+    const { entries, skipped } = new ShareJournal(filePath).read();
+    assert.deepEqual(entries.map(entry => entry.seq), [1, 2]);
+    assert.equal(skipped, 1);
+});
+
+test('reset empties the journal without restarting seq, remove deletes it', (t) => {
+    const filePath = path.join(tempDir(t), 'journal.jsonl');
+    const journal = new ShareJournal(filePath);
+    journal.append({ row: 2 });
+
+    journal.reset();
+    assert.equal(fs.readFileSync(filePath, 'utf8'), '');
+    assert.equal(journal.append({ row: 3 }).seq, 2);
+
+    journal.remove();
+    assert.equal(fs.existsSync(filePath), false);
+    assert.deepEqual(journal.read(), { entries: [], skipped: 0 });
+    journal.remove();
+});
+
+test('writeJsonAtomic replaces the file and leaves no temp file behind', (t) => {
+    const dir = tempDir(t);
+    const filePath = path.join(dir, 'history.json');
+    fs.writeFileSync(filePath, '{"old":true}');
+
+    writeJsonAtomic(filePath, { processed: 3 });
+
+    assert.deepEqual(JSON.parse(fs.readFileSync(filePath, 'utf8')), { processed: 3 });
+    assert.deepEqual(fs.readdirSync(dir), ['history.json']);
+});
@@ -0,0 +1,42 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { resolveShareOptions, findExistingPermission } = require('../share_options');
+
+const permission = (id, emailAddress, role, extra = {}) => ({ id, type: 'user', emailAddress, role, ...extra });
+
+test('findExistingPermission matches the email regardless of case', () => {
+    const existing = findExistingPermission([
+        permission('p1', 'Budi@Gmail.com', 'reader')
+    ], ' budi@gmail.com ', 'reader');
+
+    assert.equal(existing.id, 'p1');
+});
+
+test('findExistingPermission accepts a higher role but not a lower one', () => {
+    const permissions = [
+        permission('p1', 'budi@gmail.com', 'commenter'),
+        permission('p2', 'siti@gmail.com', 'writer')
+    ];
+
+    assert.equal(findExistingPermission(permissions, 'budi@gmail.com', 'writer'), null);
+    assert.equal(findExistingPermission(permissions, 'budi@gmail.com', 'reader').id, 'p1');
+    assert.equal(findExistingPermission(permissions, 'siti@gmail.com', 'commenter').id, 'p2');
+});
+
+test('findExistingPermission ignores deleted, group and other users\' permissions', () => {
+    const permissions = [
+        permission('p1', 'budi@gmail.com', 'writer', { deleted: true }),
+        permission('p2', 'budi@gmail.com', 'writer', { type: 'group' }),
+        permission('p3', 'siti@gmail.com', 'writer')
+    ];
+
+    assert.equal(findExistingPermission(permissions, 'budi@gmail.com', 'reader'), null);
+});
+
+test('checking existing permissions is on unless turned off', () => {
+    assert.equal(resolveShareOptions([], {}).checkExisting, true);
+    assert.equal(resolveShareOptions([], { SHARE_CHECK_EXISTING: 'false' }).checkExisting, false);
+    assert.equal(resolveShareOptions(['--no-check-existing'], {}).checkExisting, false);
+    assert.equal(resolveShareOptions(['--check-existing'], { SHARE_CHECK_EXISTING: 'false' }).checkExisting, true);
+    assert.throws(() => resolveShareOptions([], { SHARE_CHECK_EXISTING: 'maybe' }), /Invalid SHARE_CHECK_EXISTING/);
+});
@@ -0,0 +1,58 @@
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const {
+    CACHE_REQUIRED_COLUMNS,
+    columnLetter,
+    resolveColumnAliases,
+    mapColumns,
+    mapExtraEmailColumns
+} = require('../sheet_columns');
+
+const HEADERS = ['Cap waktu', 'Alamat email', 'Nama Peserta', 'Email Orang Tua', 'isShared', 'LastLog', 'Folder ID'];
+
+test('columnLetter converts indexes to A1 letters', () => {
+    assert.equal(columnLetter(0), 'A');
+    assert.equal(columnLetter(25), 'Z');
+    assert.equal(columnLetter(26), 'AA');
+    assert.equal(columnLetter(701), 'ZZ');
+    assert.equal(columnLetter(702), 'AAA');
+});
+
+test('mapColumns finds fields by header alias wherever they are', () => {
+    const columns = mapColumns(HEADERS, { aliases: resolveColumnAliases({}) });
+
+    assert.deepEqual(columns.timestamp, { index: 0, letter: 'A', header: 'Cap waktu' });
+    assert.equal(columns.email.letter, 'B');
+    assert.equal(columns.nama.letter, 'C');
+    assert.equal(columns.isShared.letter, 'E');
+    assert.equal(columns.lastLog.letter, 'F');
+    assert.equal(columns.folderId.letter, 'G');
+});
+
+test('mapColumns ignores header case and spacing and prefers configured names', () => {
+    const headers = ['  email address ', 'Nama', 'Nama Panggilan'];
+    const columns = mapColumns(headers, { aliases: resolveColumnAliases({ COLUMN_NAMA: 'Nama Panggilan' }) });
+
+    assert.equal(columns.email.index, 0);
+    assert.equal(columns.nama.header, 'Nama Panggilan');
+});
+
+test('mapColumns names the missing required columns and the env var to set', () => {
+    assert.throws(
+        () => mapColumns(['Timestamp', 'Nama'], { required: CACHE_REQUIRED_COLUMNS, aliases: resolveColumnAliases({}) }),
+        error => /email \(looked for "Email Address"/.test(error.message) &&
+            /set COLUMN_EMAIL/.test(error.message) &&
+            !/nama \(/.test(error.message)
+    );
+});
+
+test('mapExtraEmailColumns finds every extra email column but never the main one', () => {
+    const headers = [...HEADERS, 'Email Siswa', 'Email Kakak'];
+    const columns = mapColumns(headers, { aliases: resolveColumnAliases({}) });
+
+    assert.deepEqual(mapExtraEmailColumns(headers, columns, {}).map(column => column.letter), ['D', 'H']);
+    assert.deepEqual(
+        mapExtraEmailColumns(headers, columns, { COLUMN_EXTRA_EMAILS: 'email kakak, Alamat email' }).map(column => column.header),
+        ['Email Orang Tua', 'Email Siswa', 'Email Kakak']
+    );
+});